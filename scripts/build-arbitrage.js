@@ -0,0 +1,254 @@
+const path = require('path');
+const { canonicalFormat, sourceFormat } = require('./lib/formats');
+const { loadLatest } = require('./lib/feeds');
+const { indexPlayers, findIn } = require('./lib/player-registry');
+const { DATA_DIR, getDataPaths } = require('./lib/paths');
+const { toCsv } = require('./lib/csv');
+const { writeFileAtomic, writeJsonAtomic } = require('./lib/storage');
+
+// ADP feed and the value feeds it is lined up against
+const ADP_SOURCE = { source: 'underdog', format: 'best_ball' };
+const VALUE_SOURCES = ['ktc', 'fantasycalc'];
+
+const ARBITRAGE_SETTINGS = {
+    poolSize: 240,          // Only players inside this ADP or value rank are compared (20 rounds of a 12-team draft)
+    minRankGap: 24,         // Overall flag: ADP and value ranks at least two 12-team rounds apart...
+    minPositionGap: 6,      // Position flag: at least this many spots apart at the position...
+    minGapShare: 0.25,      // ...and the gap is at least 25% of the better of the two ranks
+    topListed: 25           // Players listed per flag in the report summary
+};
+
+const CSV_COLUMNS = [
+    { header: 'Player', value: p => p.name },
+    { header: 'Position', value: p => p.position },
+    { header: 'Team', value: p => p.team },
+    { header: 'ADP', value: p => p.adp },
+    { header: 'AdpRank', value: p => p.adpRank },
+    { header: 'PositionAdpRank', value: p => p.positionAdpRank },
+    { header: 'KtcValue', value: p => p.values.ktc?.value ?? '' },
+    { header: 'KtcRank', value: p => p.values.ktc?.rank ?? '' },
+    { header: 'FantasycalcValue', value: p => p.values.fantasycalc?.value ?? '' },
+    { header: 'FantasycalcRank', value: p => p.values.fantasycalc?.rank ?? '' },
+    { header: 'ValueRank', value: p => p.valueRank },
+    { header: 'PositionValueRank', value: p => p.positionValueRank },
+    { header: 'RankGap', value: p => p.rankGap },
+    { header: 'PositionRankGap', value: p => p.positionRankGap },
+    { header: 'SourceGap', value: p => p.sourceGap ?? '' },
+    { header: 'Flags', value: p => p.flags.join(';') },
+    { header: 'DcId', value: p => p.dcId || '' }
+];
+
+/**
+ * Number players 1..n in the order given, overall or within their position
+ * @param {Array} players - Players in order
+ * @param {string} field - Field to write the rank into
+ * @param {boolean} [byPosition] - Rank within each position
+ */
+function assignRanks(players, field, byPosition = false) {
+    const counts = {};
+    players.forEach((p, i) => {
+        counts[p.position] = (counts[p.position] || 0) + 1;
+        p[field] = byPosition ? counts[p.position] : i + 1;
+    });
+}
+
+/**
+ * Whether two ranks are far enough apart to flag
+ */
+function isFarApart(a, b, minGap) {
+    const gap = Math.abs(a - b);
+    return gap >= minGap && gap >= Math.min(a, b) * ARBITRAGE_SETTINGS.minGapShare;
+}
+
+/**
+ * Line up ADP with redraft values for every player in both
+ * Ranks are recomputed inside the joined pool, so a player missing from one feed
+ * doesn't shift everyone else's rank
+ * @param {Object} adpData - Underdog rankings
+ * @param {Object} valueData - { ktc: data, fantasycalc: data } (either may be missing)
+ * @returns {Object} { players, unmatched }
+ */
+function joinPlayers(adpData, valueData) {
+    const indexes = Object.fromEntries(Object.entries(valueData).map(([source, data]) => [source, indexPlayers(data.players)]));
+    const players = [];
+    let unmatched = 0;
+
+    for (const p of adpData.players) {
+        if (typeof p.adp !== 'number') {
+            continue;
+        }
+
+        const values = {};
+        for (const [source, index] of Object.entries(indexes)) {
+            const match = findIn(index, p);
+            if (match && typeof match.value === 'number') {
+                values[source] = { value: match.value };
+            }
+        }
+
+        if (Object.keys(values).length === 0) {
+            unmatched++;
+            continue;
+        }
+
+        players.push({ dcId: p.dcId || null, name: p.name, position: p.position, team: p.team, adp: p.adp, values });
+    }
+
+    // Ranks per value source inside the pool, then a blended value order from their average
+    for (const source of Object.keys(indexes)) {
+        const ranked = players.filter(p => p.values[source]).sort((a, b) => b.values[source].value - a.values[source].value);
+        ranked.forEach((p, i) => {
+            p.values[source].rank = i + 1;
+        });
+    }
+
+    const averageRank = p => {
+        const ranks = Object.values(p.values).map(v => v.rank);
+        return ranks.reduce((a, b) => a + b, 0) / ranks.length;
+    };
+
+    players.sort((a, b) => a.adp - b.adp);
+    assignRanks(players, 'adpRank');
+    assignRanks(players, 'positionAdpRank', true);
+
+    const byValue = [...players].sort((a, b) => averageRank(a) - averageRank(b) || a.adpRank - b.adpRank);
+    assignRanks(byValue, 'valueRank');
+    assignRanks(byValue, 'positionValueRank', true);
+
+    return { players, unmatched };
+}
+
+/**
+ * Flag ADP/value gaps and KTC/FantasyCalc disagreements
+ * A positive rank gap means drafters take the player later than the values say (a bargain);
+ * negative means earlier (a reach)
+ * @param {Array} players - Output of joinPlayers
+ */
+function flagPlayers(players) {
+    const { poolSize, minRankGap, minPositionGap } = ARBITRAGE_SETTINGS;
+
+    for (const p of players) {
+        p.rankGap = p.adpRank - p.valueRank;
+        p.positionRankGap = p.positionAdpRank - p.positionValueRank;
+        p.sourceGap = p.values.ktc && p.values.fantasycalc ? p.values.fantasycalc.rank - p.values.ktc.rank : null;
+        p.flags = [];
+
+        if (p.adpRank > poolSize && p.valueRank > poolSize) {
+            continue;
+        }
+
+        if (isFarApart(p.adpRank, p.valueRank, minRankGap)) {
+            p.flags.push(p.rankGap > 0 ? 'bargain' : 'reach');
+        }
+        if (isFarApart(p.positionAdpRank, p.positionValueRank, minPositionGap)) {
+            p.flags.push(p.positionRankGap > 0 ? 'position_bargain' : 'position_reach');
+        }
+        if (p.sourceGap !== null && isFarApart(p.values.ktc.rank, p.values.fantasycalc.rank, minRankGap)) {
+            p.flags.push('source_disagreement');
+        }
+    }
+}
+
+/**
+ * Build the arbitrage report
+ * @param {Object} [options] - { dataDir }
+ * @returns {Object} Report
+ */
+function buildArbitrageReport(options = {}) {
+    const { dataDir = DATA_DIR } = options;
+    const processedDir = getDataPaths(dataDir).processed;
+
+    const adpData = loadLatest(processedDir, ADP_SOURCE.source, ADP_SOURCE.format);
+    if (!adpData) {
+        throw new Error('No Underdog rankings to compare');
+    }
+
+    // Best ball is redraft, so it lines up with each value source's matching redraft format
+    const format = canonicalFormat(ADP_SOURCE.source, ADP_SOURCE.format);
+    const valueData = {};
+    for (const source of VALUE_SOURCES) {
+        const data = loadLatest(processedDir, source, sourceFormat(source, format));
+        if (data) {
+            valueData[source] = data;
+        }
+    }
+    if (Object.keys(valueData).length === 0) {
+        throw new Error(`No KTC or Fantasy Calc ${format} values to compare`);
+    }
+
+    const { players, unmatched } = joinPlayers(adpData, valueData);
+    flagPlayers(players);
+
+    const flagged = (flag, order) => players
+        .filter(p => p.flags.includes(flag))
+        .sort(order)
+        .slice(0, ARBITRAGE_SETTINGS.topListed);
+    const byGap = field => (a, b) => Math.abs(b[field]) - Math.abs(a[field]);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        format,
+        inputs: {
+            [ADP_SOURCE.source]: adpData.lastUpdated,
+            ...Object.fromEntries(Object.entries(valueData).map(([source, data]) => [source, data.lastUpdated]))
+        },
+        settings: ARBITRAGE_SETTINGS,
+        totalPlayers: players.length,
+        unmatched,
+        bargains: flagged('bargain', byGap('rankGap')),
+        reaches: flagged('reach', byGap('rankGap')),
+        positionBargains: flagged('position_bargain', byGap('positionRankGap')),
+        positionReaches: flagged('position_reach', byGap('positionRankGap')),
+        sourceDisagreements: flagged('source_disagreement', byGap('sourceGap')),
+        players
+    };
+}
+
+/**
+ * Render every joined player as CSV, in ADP order
+ * @param {Object} report - Output of buildArbitrageReport
+ * @returns {string} CSV content
+ */
+function createArbitrageCsv(report) {
+    return toCsv(CSV_COLUMNS, report.players);
+}
+
+/**
+ * Build and save the arbitrage report to data/processed/reports/
+ * @param {Object} [options] - { dataDir }
+ * @returns {Object} Report
+ */
+function buildArbitrage(options = {}) {
+    const { dataDir = DATA_DIR } = options;
+    const reportsDir = path.join(getDataPaths(dataDir).processed, 'reports');
+
+    console.log('=== Building Arbitrage Report ===\n');
+
+    const report = buildArbitrageReport({ dataDir });
+    console.log(`Joined ${report.totalPlayers} players (${report.unmatched} Underdog players had no value)`);
+
+    const jsonPath = path.join(reportsDir, 'arbitrage-latest.json');
+    writeJsonAtomic(jsonPath, report);
+    console.log(`  Saved JSON to ${jsonPath}`);
+
+    const csvPath = path.join(reportsDir, 'arbitrage-latest.csv');
+    writeFileAtomic(csvPath, createArbitrageCsv(report));
+    console.log(`  Saved CSV to ${csvPath}`);
+
+    console.log(`\n${report.bargains.length} bargains, ${report.reaches.length} reaches, ` +
+        `${report.sourceDisagreements.length} KTC/Fantasy Calc disagreements`);
+
+    return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        buildArbitrage();
+    } catch (error) {
+        console.error('Failed to build arbitrage report:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { buildArbitrage, buildArbitrageReport, joinPlayers, flagPlayers, ARBITRAGE_SETTINGS };
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const { listSources } = require('./lib/sources');
+const { FORMAT_NAMES, canonicalFormat } = require('./lib/formats');
+const { loadRegistry, saveRegistry, resolvePlayer } = require('./lib/player-registry');
+const { SCHEMA_VERSION } = require('./lib/publish-gate');
+const { DATA_DIR, getDataPaths, rankingsFileStem, toFileTimestamp } = require('./lib/paths');
+const { saveSnapshot } = require('./lib/pipeline');
+const { assignTiers, tierSettingsFor } = require('./lib/tiers');
+const { PARSER_VERSION } = require('./lib/consensus');
+
+// Default blend weights per source (override with CONSENSUS_WEIGHTS="ktc=1,fantasycalc=1,underdog=0.5")
+const DEFAULT_WEIGHTS = {
+    ktc: 1,
+    fantasycalc: 1,
+    underdog: 0.5,
+    // Sleeper and FantasyPros ADP are published for reference but left out of the blend unless weighted in
+    sleeper: 0,
+    fantasypros: 0
+};
+
+// Decay of the shared rank-to-score curve: rank 1 scores 100, rank 100 ~50, rank 200 ~24
+const SCORE_DECAY = 140;
+
+// Spread (in score points) at which a player's confidence bottoms out
+const SPREAD_CEILING = 25;
+
+const VALID_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+/**
+ * List the latest processed file for every source, grouped by canonical format
+ * @param {string} [dataDir] - Data root
+ * @returns {Object} Map of canonical format -> [{ source, sourceFormat, file }]
+ */
+function getConsensusInputs(dataDir = DATA_DIR) {
+    const processedDir = getDataPaths(dataDir).processed;
+    const inputs = {};
+
+    const add = (source, format, file) => {
+        const key = canonicalFormat(source, format);
+        // Feeds outside the league formats (extra Underdog slates) have nothing to blend with
+        if (!FORMAT_NAMES[key]) {
+            return;
+        }
+        if (!inputs[key]) {
+            inputs[key] = [];
+        }
+        inputs[key].push({ source, sourceFormat: format, file: path.join(processedDir, source, file) });
+    };
+
+    for (const adapter of listSources()) {
+        for (const key of Object.keys(adapter.formats)) {
+            add(adapter.id, key, `${rankingsFileStem(adapter.id, key)}-latest.json`);
+        }
+    }
+
+    return inputs;
+}
+
+/**
+ * Parse "ktc=1,fantasycalc=0.5" into a weights object on top of the defaults
+ * @param {string} [spec] - Weight overrides
+ * @returns {Object} Weights keyed by source
+ */
+function parseWeights(spec) {
+    const weights = { ...DEFAULT_WEIGHTS };
+    if (!spec) {
+        return weights;
+    }
+
+    for (const pair of spec.split(',')) {
+        const [source, raw] = pair.split('=').map(s => s.trim());
+        const weight = parseFloat(raw);
+        if (!source || isNaN(weight) || weight < 0) {
+            throw new Error(`Invalid consensus weight: "${pair}"`);
+        }
+        weights[source] = weight;
+    }
+
+    return weights;
+}
+
+/**
+ * Put a source ranking on the shared 0-100 scale
+ * Raw values are not comparable (KTC tops out at 9999, FantasyCalc uses its own curve,
+ * Underdog only has ADP), so every source is scored by where it places the player.
+ * ADP sources use the ADP itself as a fractional rank.
+ * @param {number} rank - Overall rank or ADP (1 = best)
+ * @returns {number} Score from 0 to 100
+ */
+function rankToScore(rank) {
+    return 100 * Math.exp(-(Math.max(rank, 1) - 1) / SCORE_DECAY);
+}
+
+/**
+ * Read one source file and score its players
+ * @param {Object} input - { source, sourceFormat, file }
+ * @param {Object} registry - Player registry used for players without a dcId
+ * @returns {Object|null} { source, meta, players: Map(dcId -> entry) } or null if missing
+ */
+function loadSourceScores(input, registry) {
+    if (!fs.existsSync(input.file)) {
+        console.log(`  Skipping ${input.source}/${input.sourceFormat}: no latest file`);
+        return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(input.file, 'utf8'));
+    const players = new Map();
+
+    const eligible = data.players.filter(p => VALID_POSITIONS.includes(p.position));
+    const isAdp = eligible.length > 0 && eligible.every(p => p.value === undefined);
+
+    // ADP feeds are ordered by ADP; players nobody drafts are left out
+    const ordered = isAdp
+        ? eligible.filter(p => typeof p.adp === 'number' && p.adp > 0).sort((a, b) => a.adp - b.adp)
+        : eligible.slice().sort((a, b) => a.rank - b.rank);
+
+    ordered.forEach((p, i) => {
+        const dcId = p.dcId || resolvePlayer(registry, {
+            sourceIds: {},
+            name: p.name,
+            position: p.position,
+            team: p.team
+        });
+
+        // Keep the best entry if a source lists a player twice
+        if (players.has(dcId)) {
+            return;
+        }
+
+        players.set(dcId, {
+            name: p.name,
+            position: p.position,
+            team: p.team,
+            rank: i + 1,
+            value: isAdp ? null : p.value,
+            adp: isAdp ? p.adp : null,
+            score: rankToScore(isAdp ? p.adp : i + 1)
+        });
+    });
+
+    return {
+        source: input.source,
+        meta: {
+            format: input.sourceFormat,
+            lastUpdated: data.lastUpdated,
+            totalPlayers: players.size
+        },
+        players
+    };
+}
+
+/**
+ * Blend scored sources into one ranking
+ * @param {Array} sources - Output of loadSourceScores
+ * @param {Object} weights - Weights keyed by source
+ * @returns {Array} Consensus players sorted by value
+ */
+function blendSources(sources, weights) {
+    const active = sources.filter(s => (weights[s.source] || 0) > 0);
+    const ids = new Set();
+    active.forEach(s => s.players.forEach((_, id) => ids.add(id)));
+
+    const players = [];
+
+    for (const dcId of ids) {
+        const entries = active
+            .filter(s => s.players.has(dcId))
+            .map(s => ({ source: s.source, weight: weights[s.source], ...s.players.get(dcId) }));
+
+        const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+        const value = entries.reduce((sum, e) => sum + e.score * e.weight, 0) / totalWeight;
+        const variance = entries.reduce((sum, e) => sum + e.weight * (e.score - value) ** 2, 0) / totalWeight;
+        const spread = Math.sqrt(variance);
+
+        // Confidence drops with missing sources and with disagreement between sources
+        const coverage = entries.length / active.length;
+        const agreement = Math.max(0, 1 - spread / SPREAD_CEILING);
+
+        const primary = entries.find(e => e.team && e.team !== 'FA') || entries[0];
+        const sourceDetail = {};
+        for (const e of entries) {
+            sourceDetail[e.source] = {
+                rank: e.rank,
+                value: e.value,
+                adp: e.adp,
+                score: round(e.score)
+            };
+        }
+
+        players.push({
+            dcId,
+            name: entries[0].name,
+            position: entries[0].position,
+            team: primary.team,
+            value: round(value),
+            spread: round(spread),
+            confidence: round(coverage * agreement),
+            sourceCount: entries.length,
+            sources: sourceDetail
+        });
+    }
+
+    players.sort((a, b) => b.value - a.value || a.spread - b.spread);
+
+    const positionCounts = {};
+    players.forEach((p, i) => {
+        positionCounts[p.position] = (positionCounts[p.position] || 0) + 1;
+        p.rank = i + 1;
+        p.positionRank = positionCounts[p.position];
+    });
+
+    // Match the field order of the other processed feeds
+    return players.map(({ rank, dcId, name, position, team, value, positionRank, ...rest }) =>
+        ({ rank, dcId, name, position, team, value, positionRank, ...rest }));
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Build consensus rankings for one canonical format
+ * @param {string} format - Canonical format key
+ * @param {Array} inputs - Source files for this format
+ * @param {Object} weights - Weights keyed by source
+ * @param {Object} registry - Player registry
+ * @returns {Object|null} Consensus rankings data, or null without enough sources
+ */
+function buildFormatConsensus(format, inputs, weights, registry) {
+    console.log(`Building ${FORMAT_NAMES[format] || format} consensus...`);
+
+    const sources = inputs
+        .map(input => loadSourceScores(input, registry))
+        .filter(Boolean);
+
+    if (sources.length === 0) {
+        throw new Error('No source files available');
+    }
+
+    const players = blendSources(sources, weights);
+    const usedWeights = {};
+    const inputMeta = {};
+    for (const s of sources) {
+        usedWeights[s.source] = weights[s.source] || 0;
+        inputMeta[s.source] = s.meta;
+    }
+
+    console.log(`  Blended ${sources.length} sources into ${players.length} players`);
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: new Date().toISOString(),
+        source: 'consensus',
+        format: format,
+        formatName: FORMAT_NAMES[format] || format,
+        weights: usedWeights,
+        inputs: inputMeta,
+        tiering: assignTiers(players, 'value', tierSettingsFor('consensus')),
+        totalPlayers: players.length,
+        players: players
+    };
+}
+
+// Consensus output goes through the shared pipeline like a source, minus the raw archive
+const CONSENSUS_OUTPUT = {
+    id: 'consensus',
+    // One rank column per blended source, so the columns depend on the data
+    csvColumns: data => [
+        { header: 'Value', value: p => p.value },
+        { header: 'PositionRank', value: p => p.positionRank },
+        { header: 'Spread', value: p => p.spread },
+        { header: 'Confidence', value: p => p.confidence },
+        { header: 'Sources', value: p => p.sourceCount },
+        ...Object.keys(data.inputs).map(s => ({
+            header: `${s[0].toUpperCase()}${s.slice(1)}Rank`,
+            value: p => p.sources[s]?.rank || ''
+        }))
+    ]
+};
+
+/**
+ * Save consensus data to files
+ * @param {Object} data - Consensus rankings data
+ * @param {string} [dataDir] - Data root
+ */
+function saveConsensus(data, dataDir = DATA_DIR) {
+    saveSnapshot(CONSENSUS_OUTPUT, data.format, data, { dataDir, timestamp: toFileTimestamp(new Date(data.lastUpdated)) });
+}
+
+/**
+ * Main consensus build function
+ * @param {Object} [options] - { weights: "ktc=1,fantasycalc=1", dataDir }
+ */
+function buildConsensus(options = {}) {
+    const { dataDir = DATA_DIR } = options;
+    const registryPath = getDataPaths(dataDir).registry;
+
+    console.log('=== Building Consensus Rankings ===\n');
+
+    const weights = parseWeights(options.weights || process.env.CONSENSUS_WEIGHTS);
+    const registry = loadRegistry(registryPath);
+    const results = {};
+
+    for (const [format, inputs] of Object.entries(getConsensusInputs(dataDir))) {
+        try {
+            const data = buildFormatConsensus(format, inputs, weights, registry);
+            saveConsensus(data, dataDir);
+            results[format] = { success: true, players: data.totalPlayers };
+        } catch (error) {
+            console.error(`Failed to build ${format}:`, error.message);
+            results[format] = { success: false, error: error.message };
+        }
+        console.log('');
+    }
+
+    saveRegistry(registry, registryPath);
+
+    console.log('=== Consensus Build Complete ===');
+    console.log('Results:');
+    for (const [format, result] of Object.entries(results)) {
+        const status = result.success ? '✓' : '✗';
+        const details = result.success ? `${result.players} players` : result.error;
+        console.log(`  ${status} ${FORMAT_NAMES[format] || format}: ${details}`);
+    }
+
+    return results;
+}
+
+// Run if called directly
+if (require.main === module) {
+    const results = buildConsensus();
+
+    // Required here: the manifest lists feeds from every module, including this one
+    const { updateManifest } = require('./build-manifest');
+    updateManifest({
+        results: Object.entries(results).map(([format, result]) => ({ source: 'consensus', format, ...result }))
+    });
+}
+
+module.exports = { buildConsensus, getConsensusInputs, parseWeights, rankToScore, DEFAULT_WEIGHTS, PARSER_VERSION };
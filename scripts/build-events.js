@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const { listFeeds } = require('./lib/feeds');
+const { normalizeTeam } = require('./lib/teams');
+const { DATA_DIR, getDataPaths, rankingsFileStem } = require('./lib/paths');
+const { writeJsonAtomic, listHistory, readSnapshot } = require('./lib/storage');
+
+const EVENT_TYPES = ['team_change', 'added', 'removed', 'position_change', 'tier_change'];
+
+// Tier fields compared per source (sources without tiers emit no tier_change events)
+const TIER_FIELDS = {
+    ktc: ['overallTier', 'positionTier'],
+    fantasycalc: ['tier']
+};
+
+// Deep tiers reshuffle on every snapshot; only players inside this rank emit tier_change
+const TIER_EVENT_MAX_RANK = 200;
+
+// A diff that adds or removes more than this share of players is a parser or feed change,
+// not roster news, so that snapshot pair emits no events
+const MAX_CHURN = 0.2;
+
+/**
+ * Every snapshot of a source/format, oldest first
+ * The latest file is included in case it is newer than the newest history file
+ * @returns {Array} Rankings data sorted by lastUpdated
+ */
+function loadSnapshots(processedDir, stem) {
+    if (!fs.existsSync(processedDir)) {
+        return [];
+    }
+
+    const byTime = new Map();
+    const latestPath = path.join(processedDir, `${stem}-latest.json`);
+    const files = [...listHistory(processedDir, stem).map(entry => entry.file), ...(fs.existsSync(latestPath) ? [latestPath] : [])];
+
+    for (const file of files) {
+        const data = readSnapshot(file);
+        if (data.lastUpdated && Array.isArray(data.players)) {
+            byTime.set(data.lastUpdated, data);
+        }
+    }
+
+    return [...byTime.values()].sort((a, b) => a.lastUpdated.localeCompare(b.lastUpdated));
+}
+
+/**
+ * Key a player is matched on between snapshots
+ * Snapshots written before players carried a dcId fall back to name and position
+ */
+function playerKey(p, useDcId) {
+    return useDcId ? p.dcId : `${p.name}|${p.position}`;
+}
+
+/**
+ * Whether a player really moved to another tier, rather than their whole tier being renumbered
+ * Tiers are recomputed on every snapshot, so a new tier near the top shifts every tier number
+ * below it; a player only counts as moving when most of their old tier-mates stayed behind
+ * @param {string} key - Player key
+ * @param {string} field - Tier field
+ * @param {Map} before - Previous players by key
+ * @param {Map} after - Current players by key
+ * @returns {boolean} True when the player's tier group changed
+ */
+function changedTierGroup(key, field, before, after) {
+    const tierMates = (players, tier) => new Set(
+        [...players].filter(([k, p]) => k !== key && p[field] === tier).map(([k]) => k)
+    );
+
+    const oldMates = tierMates(before, before.get(key)[field]);
+    const newMates = tierMates(after, after.get(key)[field]);
+    const smaller = Math.min(oldMates.size, newMates.size);
+    if (smaller === 0) {
+        return oldMates.size !== newMates.size;
+    }
+
+    const shared = [...oldMates].filter(k => newMates.has(k)).length;
+    return shared / smaller < 0.5;
+}
+
+/**
+ * Diff two consecutive snapshots into roster events
+ * @param {Object} previous - Older rankings data
+ * @param {Object} current - Newer rankings data
+ * @param {Object} feed - { source, format }
+ * @returns {Array|null} Events, or null when the pair looks like a feed change rather than roster news
+ */
+function diffSnapshots(previous, current, feed) {
+    // Match on dcId only when both snapshots carry it for every player
+    const useDcId = [previous, current].every(s => s.players.every(p => p.dcId));
+    const before = new Map(previous.players.map(p => [playerKey(p, useDcId), p]));
+    const after = new Map(current.players.map(p => [playerKey(p, useDcId), p]));
+
+    const added = [...after.keys()].filter(key => !before.has(key));
+    const removed = [...before.keys()].filter(key => !after.has(key));
+    const churn = (added.length + removed.length) / Math.max(before.size, 1);
+    if (churn > MAX_CHURN) {
+        console.warn(`  Skipping ${previous.lastUpdated} -> ${current.lastUpdated}: ${added.length} added and ${removed.length} removed looks like a feed change`);
+        return null;
+    }
+
+    const event = (type, p, details) => ({
+        timestamp: current.lastUpdated,
+        previousTimestamp: previous.lastUpdated,
+        source: feed.source,
+        format: feed.format,
+        type,
+        dcId: p.dcId || null,
+        name: p.name,
+        position: p.position,
+        team: normalizeTeam(p.team) || p.team,
+        rank: p.rank,
+        ...details
+    });
+
+    const events = [];
+
+    for (const key of added) {
+        events.push(event('added', after.get(key), {}));
+    }
+    for (const key of removed) {
+        events.push(event('removed', before.get(key), { rank: null, previousRank: before.get(key).rank }));
+    }
+
+    for (const [key, p] of after) {
+        const old = before.get(key);
+        if (!old) {
+            continue;
+        }
+
+        // Sources spell teams differently (KTC "KCC", Underdog "Kansas City Chiefs"), so compare normalized codes
+        const fromTeam = normalizeTeam(old.team) || old.team;
+        const toTeam = normalizeTeam(p.team) || p.team;
+        if (fromTeam !== toTeam) {
+            events.push(event('team_change', p, { from: fromTeam, to: toTeam }));
+        }
+
+        if (old.position !== p.position) {
+            events.push(event('position_change', p, { from: old.position, to: p.position }));
+        }
+
+        for (const field of TIER_FIELDS[feed.source] || []) {
+            if (p.rank > TIER_EVENT_MAX_RANK || old[field] == null || p[field] == null || old[field] === p[field]) {
+                continue;
+            }
+            if (changedTierGroup(key, field, before, after)) {
+                events.push(event('tier_change', p, { field, from: old[field], to: p[field] }));
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Load the per-feed cursor (lastUpdated of the newest snapshot already diffed)
+ */
+function loadState(statePath) {
+    return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : { feeds: {} };
+}
+
+/**
+ * Main event build function
+ * Diffs every snapshot pair newer than the stored cursor and appends the events to events.jsonl
+ * @param {Object} [options] - { dataDir }
+ * @returns {Object} Results keyed by source/format
+ */
+function buildEvents(options = {}) {
+    const { dataDir = DATA_DIR } = options;
+    const paths = getDataPaths(dataDir);
+    const eventsDir = path.join(paths.processed, 'events');
+    const eventsPath = path.join(eventsDir, 'events.jsonl');
+    const statePath = path.join(eventsDir, 'state.json');
+
+    console.log('=== Building Roster Events ===\n');
+
+    const state = loadState(statePath);
+    const results = {};
+    const newEvents = [];
+
+    // Consensus rankings are derived from the other feeds, so they would only repeat their events
+    for (const feed of listFeeds({ consensus: false })) {
+        const key = `${feed.source}/${feed.format}`;
+        try {
+            const snapshots = loadSnapshots(path.join(paths.processed, feed.source), rankingsFileStem(feed.source, feed.format));
+            const cursor = state.feeds[key];
+
+            // Start from the newest snapshot at or before the cursor; on the first run, from the oldest one.
+            // The cursor's own snapshot may be gone: an unchanged run rewrites the latest file with a new
+            // lastUpdated but writes no history, so the next latest file replaces it
+            const startIndex = cursor ? Math.max(snapshots.findLastIndex(s => s.lastUpdated <= cursor), 0) : 0;
+            if (snapshots.length < 2) {
+                results[key] = { success: true, pairs: 0, events: 0 };
+                continue;
+            }
+
+            let pairs = 0;
+            let count = 0;
+            for (let i = startIndex + 1; i < snapshots.length; i++) {
+                const events = diffSnapshots(snapshots[i - 1], snapshots[i], feed);
+                pairs++;
+                if (events) {
+                    newEvents.push(...events);
+                    count += events.length;
+                }
+            }
+
+            state.feeds[key] = snapshots[snapshots.length - 1].lastUpdated;
+            results[key] = { success: true, pairs, events: count };
+        } catch (error) {
+            console.error(`Failed to build events for ${key}:`, error.message);
+            results[key] = { success: false, error: error.message };
+        }
+    }
+
+    if (!fs.existsSync(eventsDir)) {
+        fs.mkdirSync(eventsDir, { recursive: true });
+    }
+
+    newEvents.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.source.localeCompare(b.source));
+    if (newEvents.length > 0) {
+        fs.appendFileSync(eventsPath, newEvents.map(e => JSON.stringify(e)).join('\n') + '\n');
+        console.log(`Appended ${newEvents.length} events to ${eventsPath}`);
+    }
+
+    state.lastRun = new Date().toISOString();
+    writeJsonAtomic(statePath, state);
+
+    console.log('\n=== Event Build Complete ===');
+    console.log('Results:');
+    for (const [key, result] of Object.entries(results)) {
+        const status = result.success ? '✓' : '✗';
+        const details = result.success ? `${result.events} events from ${result.pairs} snapshot pairs` : result.error;
+        console.log(`  ${status} ${key}: ${details}`);
+    }
+
+    return results;
+}
+
+// Run if called directly
+if (require.main === module) {
+    const results = buildEvents();
+    if (Object.values(results).some(r => !r.success)) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { buildEvents, diffSnapshots, EVENT_TYPES };
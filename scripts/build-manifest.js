@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { listFeeds } = require('./lib/feeds');
+const { canonicalFormat } = require('./lib/formats');
+const { DATA_DIR, getDataPaths, rankingsFileStem } = require('./lib/paths');
+const { writeJsonAtomic } = require('./lib/storage');
+
+// Bumped on breaking changes to the manifest layout itself
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hash a file's bytes so clients can tell whether a feed changed without downloading it
+ * @param {string} file - File path
+ * @returns {string} "sha256-<hex>"
+ */
+function hashFile(file) {
+    return `sha256-${crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex')}`;
+}
+
+/**
+ * Build the manifest entry for one feed
+ * @param {Object} feed - { source, format, name, parserVersion, dataset }
+ * @param {Object} paths - Output of getDataPaths
+ * @param {Object|undefined} previous - This feed's entry in the previous manifest
+ * @param {Object|undefined} attempt - This run's result row for the feed, if it ran
+ * @returns {Object} Manifest entry
+ */
+function buildEntry(feed, paths, previous, attempt) {
+    const stem = rankingsFileStem(feed.source, feed.format);
+    const jsonFile = path.join(paths.processed, feed.source, `${stem}-latest.json`);
+    const csvFile = path.join(paths.processed, feed.source, `${stem}-latest.csv`);
+    const data = fs.existsSync(jsonFile) ? JSON.parse(fs.readFileSync(jsonFile, 'utf8')) : null;
+
+    // Paths are relative to the manifest, so clients resolve them against its URL
+    const relative = file => (fs.existsSync(file) ? path.relative(paths.processed, file).split(path.sep).join('/') : null);
+
+    const entry = {
+        source: feed.source,
+        format: feed.format,
+        name: feed.name,
+        canonicalFormat: canonicalFormat(feed.source, feed.format),
+        ...(feed.dataset && { dataset: feed.dataset }),
+        json: relative(jsonFile),
+        csv: relative(csvFile),
+        lastUpdated: data?.lastUpdated || null,
+        totalPlayers: data?.totalPlayers ?? null,
+        ...(feed.dataset && { total: data?.[feed.dataset]?.length ?? null }),
+        contentHash: data ? hashFile(jsonFile) : null,
+        schemaVersion: data?.schemaVersion ?? null,
+        parserVersion: feed.parserVersion,
+        // Before any run is recorded, the latest file is the best evidence of a success
+        lastSuccess: previous?.lastSuccess || data?.lastUpdated || null,
+        lastFailure: previous?.lastFailure || null
+    };
+
+    if (attempt && !attempt.dryRun) {
+        const now = new Date().toISOString();
+        if (attempt.success) {
+            entry.lastSuccess = now;
+        } else {
+            entry.lastFailure = { at: now, error: attempt.error || 'unknown error' };
+        }
+    }
+
+    return entry;
+}
+
+/**
+ * Rebuild data/processed/manifest.json from the feeds on disk
+ * @param {Object} [options] - Options
+ * @param {string} [options.dataDir] - Data root
+ * @param {Array} [options.results] - Result rows from this run ({ source, format, success, error, dryRun })
+ * @returns {Object} The manifest written
+ */
+function updateManifest(options = {}) {
+    const { dataDir = DATA_DIR, results = [] } = options;
+    const paths = getDataPaths(dataDir);
+    const manifestPath = path.join(paths.processed, 'manifest.json');
+
+    const previous = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        : { sources: {} };
+
+    const manifest = {
+        manifestVersion: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        sources: {}
+    };
+
+    for (const feed of listFeeds({ datasets: true })) {
+        const attempt = results.find(r => r.source === feed.source && r.format === feed.format);
+        const entry = buildEntry(feed, paths, previous.sources?.[feed.source]?.[feed.format], attempt);
+
+        // Feeds that never published and never ran (e.g. consensus before its first build) stay out
+        if (!entry.json && !entry.lastFailure) {
+            continue;
+        }
+
+        manifest.sources[feed.source] = manifest.sources[feed.source] || {};
+        manifest.sources[feed.source][feed.format] = entry;
+    }
+
+    writeJsonAtomic(manifestPath, manifest);
+    console.log(`Saved manifest to ${manifestPath}`);
+
+    return manifest;
+}
+
+// Run if called directly
+if (require.main === module) {
+    updateManifest();
+}
+
+module.exports = { updateManifest, MANIFEST_VERSION };
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const { listFeeds } = require('./lib/feeds');
+const { DATA_DIR, getDataPaths, rankingsFileStem } = require('./lib/paths');
+const { writeFileAtomic, writeJsonAtomic, listHistory, readSnapshot } = require('./lib/storage');
+
+// How far back each comparison looks
+const MOVER_WINDOWS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+const MOVER_SETTINGS = {
+    topMovers: 15,          // Risers and fallers listed per metric
+    maxRank: 250,           // Ignore players outside this rank in both snapshots (deep-rank churn is noise)
+    minWindowShare: 0.75,   // A snapshot must be at least 75% of the window old to stand in for it
+    trendTolerance: 0.1     // FantasyCalc trend30Day disagreement flagged beyond 10% of the player's value
+};
+
+/**
+ * Load the latest file and every history snapshot for a source/format
+ * @returns {Object|null} { latest, history: [data] oldest first } or null without a latest file
+ */
+function loadSnapshots(processedDir, stem) {
+    const latestPath = path.join(processedDir, `${stem}-latest.json`);
+    if (!fs.existsSync(latestPath)) {
+        return null;
+    }
+
+    const latest = JSON.parse(fs.readFileSync(latestPath, 'utf8'));
+    const history = listHistory(processedDir, stem)
+        .map(entry => readSnapshot(entry.file))
+        .filter(data => data.lastUpdated && data.lastUpdated < latest.lastUpdated)
+        .sort((a, b) => a.lastUpdated.localeCompare(b.lastUpdated));
+
+    return { latest, history };
+}
+
+/**
+ * Pick the snapshot closest to a window's start
+ * Snapshots younger than minWindowShare of the window don't count
+ * @returns {Object|null} Snapshot data or null when history doesn't reach back far enough
+ */
+function findWindowSnapshot(history, latestTime, windowMs) {
+    const target = latestTime - windowMs;
+    const cutoff = latestTime - windowMs * MOVER_SETTINGS.minWindowShare;
+
+    let best = null;
+    for (const snapshot of history) {
+        const time = Date.parse(snapshot.lastUpdated);
+        if (time > cutoff) {
+            continue;
+        }
+        if (!best || Math.abs(time - target) < Math.abs(Date.parse(best.lastUpdated) - target)) {
+            best = snapshot;
+        }
+    }
+    return best;
+}
+
+/**
+ * Index a snapshot's players for matching
+ * Older snapshots have no dcId, so players are also indexed by name and position
+ */
+function indexPlayers(players) {
+    const index = new Map();
+    for (const p of players) {
+        if (p.dcId) {
+            index.set(p.dcId, p);
+        }
+        index.set(`${p.name}|${p.position}`, p);
+    }
+    return index;
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Compare two snapshots player by player
+ * Positive changes always mean the player moved up (higher value, better rank, earlier ADP)
+ * @param {Object} current - Latest rankings data
+ * @param {Object} previous - Older rankings data
+ * @returns {Array} Per-player changes
+ */
+function comparePlayers(current, previous) {
+    const previousIndex = indexPlayers(previous.players);
+    const changes = [];
+
+    for (const p of current.players) {
+        const before = (p.dcId && previousIndex.get(p.dcId)) || previousIndex.get(`${p.name}|${p.position}`);
+        if (!before) {
+            continue;
+        }
+        if (p.rank > MOVER_SETTINGS.maxRank && before.rank > MOVER_SETTINGS.maxRank) {
+            continue;
+        }
+
+        const change = {
+            dcId: p.dcId || null,
+            name: p.name,
+            position: p.position,
+            team: p.team,
+            rank: p.rank,
+            previousRank: before.rank,
+            rankChange: before.rank - p.rank
+        };
+
+        if (typeof p.value === 'number' && typeof before.value === 'number') {
+            change.value = p.value;
+            change.previousValue = before.value;
+            change.valueChange = round(p.value - before.value);
+            change.valueChangePct = before.value ? round((p.value - before.value) / before.value * 100) : null;
+        }
+
+        if (typeof p.adp === 'number' && typeof before.adp === 'number') {
+            change.adp = p.adp;
+            change.previousAdp = before.adp;
+            change.adpChange = round(before.adp - p.adp);
+        }
+
+        changes.push(change);
+    }
+
+    return changes;
+}
+
+/**
+ * Top risers and fallers for each metric present in the changes
+ */
+function rankMovers(changes) {
+    const risers = {};
+    const fallers = {};
+
+    for (const metric of ['value', 'rank', 'adp']) {
+        const field = `${metric}Change`;
+        const moved = changes.filter(c => typeof c[field] === 'number' && c[field] !== 0);
+        if (moved.length === 0) {
+            continue;
+        }
+
+        risers[metric] = moved
+            .filter(c => c[field] > 0)
+            .sort((a, b) => b[field] - a[field])
+            .slice(0, MOVER_SETTINGS.topMovers);
+        fallers[metric] = moved
+            .filter(c => c[field] < 0)
+            .sort((a, b) => a[field] - b[field])
+            .slice(0, MOVER_SETTINGS.topMovers);
+    }
+
+    return { risers, fallers };
+}
+
+/**
+ * Compare FantasyCalc's own trend30Day with the value change we measured over 30 days
+ * @returns {Object} Agreement summary and the players where they disagree most
+ */
+function checkTrend30Day(current, previous) {
+    if (!previous) {
+        return { available: false, reason: 'no snapshot from 30 days back' };
+    }
+
+    const previousIndex = indexPlayers(previous.players);
+    const compared = [];
+
+    for (const p of current.players) {
+        const before = (p.dcId && previousIndex.get(p.dcId)) || previousIndex.get(`${p.name}|${p.position}`);
+        if (!before || typeof p.trend30Day !== 'number') {
+            continue;
+        }
+        const computed = p.value - before.value;
+        compared.push({
+            dcId: p.dcId || null,
+            name: p.name,
+            position: p.position,
+            value: p.value,
+            reportedTrend: p.trend30Day,
+            computedTrend: computed,
+            difference: p.trend30Day - computed
+        });
+    }
+
+    if (compared.length === 0) {
+        return { available: false, reason: 'no players with trend30Day in both snapshots' };
+    }
+
+    const tolerance = p => Math.max(p.value * MOVER_SETTINGS.trendTolerance, 1);
+    const disagreements = compared
+        .filter(p => Math.abs(p.difference) > tolerance(p))
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+    const sameDirection = compared.filter(p => Math.sign(p.reportedTrend) === Math.sign(p.computedTrend)).length;
+
+    return {
+        available: true,
+        comparedTo: previous.lastUpdated,
+        playersCompared: compared.length,
+        meanAbsDifference: round(compared.reduce((sum, p) => sum + Math.abs(p.difference), 0) / compared.length),
+        sameDirectionPct: round(sameDirection / compared.length * 100),
+        disagreementCount: disagreements.length,
+        disagreements: disagreements.slice(0, MOVER_SETTINGS.topMovers)
+    };
+}
+
+/**
+ * Build the movers report for one source/format
+ * @param {Object} target - { source, format, name }
+ * @param {string} processedDir - Processed folder for the source
+ * @returns {Object|null} Movers report, or null without a latest file
+ */
+function buildFormatMovers(target, processedDir) {
+    const snapshots = loadSnapshots(processedDir, rankingsFileStem(target.source, target.format));
+    if (!snapshots) {
+        return null;
+    }
+
+    const { latest, history } = snapshots;
+    const latestTime = Date.parse(latest.lastUpdated);
+    const windows = {};
+    let thirtyDaySnapshot = null;
+
+    for (const [window, ms] of Object.entries(MOVER_WINDOWS)) {
+        const previous = findWindowSnapshot(history, latestTime, ms);
+        if (window === '30d') {
+            thirtyDaySnapshot = previous;
+        }
+
+        if (!previous) {
+            windows[window] = {
+                available: false,
+                reason: history.length
+                    ? `oldest snapshot is from ${history[0].lastUpdated}`
+                    : 'no history snapshots'
+            };
+            continue;
+        }
+
+        const changes = comparePlayers(latest, previous);
+        windows[window] = {
+            available: true,
+            comparedTo: previous.lastUpdated,
+            hoursBack: round((latestTime - Date.parse(previous.lastUpdated)) / 3600000),
+            playersCompared: changes.length,
+            ...rankMovers(changes)
+        };
+    }
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        source: target.source,
+        format: target.format,
+        formatName: target.name,
+        latest: latest.lastUpdated,
+        windows
+    };
+
+    if (target.source === 'fantasycalc') {
+        report.trendCheck = checkTrend30Day(latest, thirtyDaySnapshot);
+    }
+
+    return report;
+}
+
+function formatChange(n, suffix = '') {
+    return `${n > 0 ? '+' : ''}${n}${suffix}`;
+}
+
+/**
+ * Render a movers report as markdown
+ * @param {Object} report - Output of buildFormatMovers
+ * @returns {string} Markdown summary
+ */
+function createMarkdown(report) {
+    const lines = [
+        `# Movers: ${report.source} ${report.formatName}`,
+        '',
+        `Latest snapshot: ${report.latest}`,
+        ''
+    ];
+
+    const labels = { '24h': 'Last 24 hours', '7d': 'Last 7 days', '30d': 'Last 30 days' };
+    // ADP feeds rank by ADP, value feeds by value; rank changes follow from either
+    const metric = Object.values(report.windows).some(w => w.risers?.adp) ? 'adp' : 'value';
+
+    for (const [window, data] of Object.entries(report.windows)) {
+        lines.push(`## ${labels[window]}`, '');
+
+        if (!data.available) {
+            lines.push(`Not enough history (${data.reason}).`, '');
+            continue;
+        }
+
+        lines.push(`Compared with ${data.comparedTo} (${data.hoursBack}h back, ${data.playersCompared} players).`, '');
+
+        for (const [title, list] of [['Risers', data.risers[metric]], ['Fallers', data.fallers[metric]]]) {
+            lines.push(`### ${title}`, '');
+            if (!list || list.length === 0) {
+                lines.push('None.', '');
+                continue;
+            }
+
+            const heading = metric === 'adp' ? 'ADP' : 'Value';
+            lines.push(`| Player | Pos | Team | ${heading} | Change | Rank | Rank change |`);
+            lines.push('| --- | --- | --- | ---: | ---: | ---: | ---: |');
+            for (const p of list) {
+                const current = metric === 'adp' ? p.adp : p.value;
+                const change = metric === 'adp'
+                    ? formatChange(p.adpChange)
+                    : `${formatChange(p.valueChange)} (${formatChange(p.valueChangePct, '%')})`;
+                lines.push(`| ${p.name} | ${p.position} | ${p.team} | ${current} | ${change} | ${p.rank} | ${formatChange(p.rankChange)} |`);
+            }
+            lines.push('');
+        }
+    }
+
+    if (report.trendCheck) {
+        lines.push('## FantasyCalc trend30Day check', '');
+        if (!report.trendCheck.available) {
+            lines.push(`Not available (${report.trendCheck.reason}).`, '');
+        } else {
+            const check = report.trendCheck;
+            lines.push(`Compared ${check.playersCompared} players with ${check.comparedTo}: ` +
+                `same direction for ${check.sameDirectionPct}%, mean absolute difference ${check.meanAbsDifference}, ` +
+                `${check.disagreementCount} players off by more than ${MOVER_SETTINGS.trendTolerance * 100}% of value.`, '');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Save a movers report as JSON and markdown
+ */
+function saveMovers(report, moversDir) {
+    const dir = path.join(moversDir, report.source);
+
+    const jsonPath = path.join(dir, `movers-${report.format}-latest.json`);
+    writeJsonAtomic(jsonPath, report);
+    console.log(`  Saved JSON to ${jsonPath}`);
+
+    const mdPath = path.join(dir, `movers-${report.format}-latest.md`);
+    writeFileAtomic(mdPath, createMarkdown(report));
+    console.log(`  Saved markdown to ${mdPath}`);
+}
+
+/**
+ * Main movers build function
+ * @param {Object} [options] - { dataDir }
+ * @returns {Object} Results keyed by source/format
+ */
+function buildMovers(options = {}) {
+    const { dataDir = DATA_DIR } = options;
+    const paths = getDataPaths(dataDir);
+    const moversDir = path.join(paths.processed, 'movers');
+
+    console.log('=== Building Movers Reports ===\n');
+
+    const results = {};
+
+    for (const target of listFeeds()) {
+        const key = `${target.source}/${target.format}`;
+        try {
+            const report = buildFormatMovers(target, path.join(paths.processed, target.source));
+            if (!report) {
+                continue;
+            }
+
+            console.log(`${key}:`);
+            saveMovers(report, moversDir);
+            const windows = Object.entries(report.windows).filter(([, w]) => w.available).map(([w]) => w);
+            results[key] = { success: true, windows };
+        } catch (error) {
+            console.error(`Failed to build movers for ${key}:`, error.message);
+            results[key] = { success: false, error: error.message };
+        }
+    }
+
+    console.log('\n=== Movers Build Complete ===');
+    console.log('Results:');
+    for (const [key, result] of Object.entries(results)) {
+        const status = result.success ? '✓' : '✗';
+        const details = result.success ? `windows: ${result.windows.join(', ') || 'none yet'}` : result.error;
+        console.log(`  ${status} ${key}: ${details}`);
+    }
+
+    return results;
+}
+
+// Run if called directly
+if (require.main === module) {
+    const results = buildMovers();
+    if (Object.values(results).some(r => !r.success)) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { buildMovers, buildFormatMovers, comparePlayers, MOVER_WINDOWS, MOVER_SETTINGS };
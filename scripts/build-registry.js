@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRegistry, saveRegistry, assignPlayerIds } = require('./lib/player-registry');
+const { listSources } = require('./lib/sources');
+const { getDataPaths, rankingsFileStem } = require('./lib/paths');
+
+/**
+ * Seed the player registry from the current processed outputs
+ * Sources are linked in adapter order (KTC and FantasyCalc carry stable IDs, so they go before Underdog)
+ * @returns {Object} Summary of linked players
+ */
+function buildRegistry() {
+    console.log('=== Building Player Registry ===\n');
+
+    const registry = loadRegistry();
+    const processedRoot = getDataPaths().processed;
+
+    for (const adapter of listSources()) {
+        for (const [format, config] of Object.entries(adapter.formats).sort(([a], [b]) => a.localeCompare(b))) {
+            const file = `${rankingsFileStem(adapter.id, format)}-latest.json`;
+            const filePath = path.join(processedRoot, adapter.id, file);
+            if (!fs.existsSync(filePath)) {
+                continue;
+            }
+
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            assignPlayerIds(registry, data.players, p => adapter.playerIds(p, config));
+            console.log(`  Linked ${data.players.length} players from ${adapter.id}/${file}`);
+        }
+    }
+
+    saveRegistry(registry);
+
+    // Count how many players were joined across more than one source
+    const entries = Object.values(registry.players);
+    const linked = entries.filter(e => Object.keys(e.sourceIds).length > 1).length;
+
+    console.log(`\nRegistry has ${entries.length} players (${linked} linked across sources)`);
+
+    return { totalPlayers: entries.length, linked };
+}
+
+// Run if called directly
+if (require.main === module) {
+    buildRegistry();
+}
+
+module.exports = { buildRegistry };
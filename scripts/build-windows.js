@@ -0,0 +1,192 @@
+const path = require('path');
+const { getSource } = require('./lib/sources');
+const { canonicalFormat } = require('./lib/formats');
+const { loadLatest } = require('./lib/feeds');
+const { normalizeName, indexPlayers, findIn } = require('./lib/player-registry');
+const { DATA_DIR, getDataPaths } = require('./lib/paths');
+const { toCsv } = require('./lib/csv');
+const { writeFileAtomic, writeJsonAtomic } = require('./lib/storage');
+const { loadWindowSettings, applyValueWindows } = require('./lib/value-windows');
+
+// Dynasty value sources the windows are built for
+const WINDOW_SOURCES = ['ktc', 'fantasycalc'];
+
+// Feeds players' ages are looked up in when the dynasty feed has none (Fantasy Calc)
+const AGE_SOURCES = [
+    { source: 'ktc', format: 'dynasty_1qb' },
+    { source: 'ktc', format: 'redraft_1qb' },
+    { source: 'sleeper', format: 'redraft_1qb' }
+];
+
+const CSV_COLUMNS = [
+    { header: 'Rank', value: p => p.rank },
+    { header: 'Player', value: p => p.name },
+    { header: 'Position', value: p => p.position },
+    { header: 'Team', value: p => p.team },
+    { header: 'Age', value: p => p.age ?? '' },
+    { header: 'Value', value: p => p.value },
+    { header: 'RedraftValue', value: p => p.redraftValue ?? '' },
+    { header: 'WinNowValue', value: p => p.winNowValue ?? '' },
+    { header: 'WinNowRank', value: p => p.winNowRank ?? '' },
+    { header: 'RebuildValue', value: p => p.rebuildValue ?? '' },
+    { header: 'RebuildRank', value: p => p.rebuildRank ?? '' },
+    { header: 'DcId', value: p => p.dcId || '' }
+];
+
+/**
+ * Ages from every feed that carries them, first feed wins
+ * @returns {Map} dcId or name|position -> age
+ */
+function loadAges(processedDir) {
+    const ages = new Map();
+    for (const { source, format } of AGE_SOURCES) {
+        const data = loadLatest(processedDir, source, format);
+        for (const p of data?.players || []) {
+            if (typeof p.age !== 'number') {
+                continue;
+            }
+            for (const key of [p.dcId, `${normalizeName(p.name)}|${p.position}`].filter(Boolean)) {
+                if (!ages.has(key)) {
+                    ages.set(key, p.age);
+                }
+            }
+        }
+    }
+    return ages;
+}
+
+/**
+ * Build the win-now/rebuild feed for one dynasty format
+ * Redraft values come from the player (Fantasy Calc's redraftValue) or else from the
+ * source's redraft feed for the same league; ages from the player or else from AGE_SOURCES
+ * @param {string} processedDir - data/processed
+ * @param {string} source - Source key
+ * @param {string} format - Dynasty format key
+ * @param {Map} ages - Output of loadAges
+ * @param {Object} settings - Output of loadWindowSettings
+ * @returns {Object|null} Window feed, or null when the dynasty feed isn't published
+ */
+function buildFormatWindows(processedDir, source, format, ages, settings) {
+    const dynasty = loadLatest(processedDir, source, format);
+    if (!dynasty) {
+        return null;
+    }
+
+    const redraftFormat = format.replace(/^dynasty_/, 'redraft_');
+    const redraft = dynasty.players.some(p => typeof p.redraftValue === 'number')
+        ? null
+        : loadLatest(processedDir, source, redraftFormat);
+    const redraftIndex = redraft ? indexPlayers(redraft.players) : null;
+
+    const players = applyValueWindows(dynasty.players.map(p => {
+        const nameKey = `${normalizeName(p.name)}|${p.position}`;
+        const age = typeof p.age === 'number' ? p.age : ages.get(p.dcId) ?? ages.get(nameKey) ?? null;
+        const redraftValue = redraftIndex ? findIn(redraftIndex, p)?.value ?? null : p.redraftValue ?? null;
+        return {
+            rank: p.rank,
+            dcId: p.dcId || null,
+            name: p.name,
+            position: p.position,
+            team: p.team,
+            age,
+            value: p.value,
+            redraftValue
+        };
+    }), settings);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        source,
+        format,
+        canonicalFormat: canonicalFormat(source, format),
+        horizon: settings.horizon,
+        inputs: {
+            dynasty: { format, lastUpdated: dynasty.lastUpdated },
+            redraft: redraft ? { format: redraftFormat, lastUpdated: redraft.lastUpdated } : { format, field: 'redraftValue' }
+        },
+        settings: { discount: settings.discount, ageCurves: settings.ageCurves },
+        totalPlayers: players.length,
+        missingAge: players.filter(p => p.age === null).length,
+        missingRedraft: players.filter(p => p.redraftValue === null).length,
+        players
+    };
+}
+
+/**
+ * Save a window feed to data/processed/windows/{source}/
+ */
+function saveWindows(report, windowsDir) {
+    const dir = path.join(windowsDir, report.source);
+
+    const jsonPath = path.join(dir, `windows-${report.format}-latest.json`);
+    writeJsonAtomic(jsonPath, report);
+    console.log(`  Saved JSON to ${jsonPath}`);
+
+    const csvPath = path.join(dir, `windows-${report.format}-latest.csv`);
+    writeFileAtomic(csvPath, toCsv(CSV_COLUMNS, report.players));
+    console.log(`  Saved CSV to ${csvPath}`);
+}
+
+/**
+ * Build win-now and rebuild values for every dynasty format of the window sources
+ * @param {Object} [options] - { dataDir }
+ * @returns {Object} Results keyed by source/format
+ */
+function buildWindows(options = {}) {
+    const { dataDir = DATA_DIR } = options;
+    const processedDir = getDataPaths(dataDir).processed;
+    const windowsDir = path.join(processedDir, 'windows');
+    const settings = loadWindowSettings();
+
+    console.log(`=== Building Value Windows (${settings.horizon}-year horizon) ===\n`);
+
+    const ages = loadAges(processedDir);
+    const results = {};
+
+    for (const source of WINDOW_SOURCES) {
+        const adapter = getSource(source);
+        const formats = Object.values(adapter?.formats || {}).filter(config => config.settings?.type === 'dynasty');
+
+        for (const { format } of formats) {
+            const key = `${source}/${format}`;
+            try {
+                const report = buildFormatWindows(processedDir, source, format, ages, settings);
+                if (!report) {
+                    continue;
+                }
+
+                console.log(`${key}: ${report.totalPlayers} players (${report.missingRedraft} without a redraft value, ${report.missingAge} without an age)`);
+                saveWindows(report, windowsDir);
+                results[key] = { success: true, players: report.totalPlayers };
+            } catch (error) {
+                console.error(`Failed to build value windows for ${key}:`, error.message);
+                results[key] = { success: false, error: error.message };
+            }
+        }
+    }
+
+    console.log('\n=== Value Windows Build Complete ===');
+    console.log('Results:');
+    for (const [key, result] of Object.entries(results)) {
+        const status = result.success ? '✓' : '✗';
+        const details = result.success ? `${result.players} players` : result.error;
+        console.log(`  ${status} ${key}: ${details}`);
+    }
+
+    return results;
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        const results = buildWindows();
+        if (Object.values(results).some(r => !r.success)) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Failed to build value windows:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { buildWindows, buildFormatWindows, WINDOW_SOURCES };
@@ -0,0 +1,728 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { canonicalFormat, toCanonicalFormat } = require('./lib/formats');
+const { checkSnapshot } = require('./lib/publish-gate');
+const { mapLimit } = require('./lib/concurrency');
+const { createHttpClient } = require('./lib/http-client');
+const { listSources } = require('./lib/sources');
+const { fetchSource, reprocessSource, rawDirFor, rawPrefixFor } = require('./lib/pipeline');
+const { loadRegistry, saveRegistry } = require('./lib/player-registry');
+const { evaluateTrade } = require('./lib/trade');
+const { EXPORT_TYPES, renderExport, exportExtension } = require('./lib/exports');
+const { createApiServer, DEFAULT_PORT, DEFAULT_HOST } = require('./lib/api-server');
+const { loadHealth, updateHealth, summarizeHealth } = require('./lib/health');
+const { updateManifest } = require('./build-manifest');
+const { DATA_DIR, getDataPaths, rankingsFileStem } = require('./lib/paths');
+const { listHistory, readSnapshot, snapshotHash, compactArchive, retentionFor } = require('./lib/storage');
+const { listFeeds } = require('./lib/feeds');
+
+// Every source the CLI can drive, keyed by adapter ID (see scripts/sources/)
+const SOURCES = Object.fromEntries(listSources().map(adapter => [adapter.id, adapter]));
+
+// Process exit codes
+const EXIT_CODES = {
+    ok: 0,
+    partial: 1,     // Some source/format failed
+    failed: 2,      // Everything failed
+    usage: 3        // Bad command line
+};
+
+const DEFAULT_CONCURRENCY = 2;
+
+const USAGE = `Usage: draft-compass <command> [options]
+
+Commands:
+  fetch       Fetch rankings from sources and publish processed files
+  reprocess   Rebuild processed files from archived raw snapshots
+  validate    Run the publish gate checks against the current latest files
+  export      Copy latest processed files out, or convert them to NDJSON or a platform import file
+  formats     List the formats each source publishes
+  trade       Compare two sides of a trade with KTC and Fantasy Calc values
+  serve       Serve processed files and a read-only rankings API over HTTP
+  health      Show which sources are failing and what to do about it
+  compact     Gzip, deduplicate and prune stored history and raw snapshots
+
+Options:
+  --source <list>       Source(s): ${Object.keys(SOURCES).join(', ')} or all (default: all)
+  --format <list>       Format(s), e.g. dynasty_1qb or dynasty_superflex (default: all)
+  --dry-run             fetch/reprocess/compact: run everything but write nothing
+  --out-dir <dir>       fetch/reprocess: data root to write into (default: data/)
+                        export: folder to copy files into (default: stdout)
+  --data-dir <dir>      validate/export/reprocess/serve/health/compact: data root to read from (default: data/)
+  --concurrency <n>     fetch: sources fetched at once (default: ${DEFAULT_CONCURRENCY})
+  --record              fetch: save every HTTP response as a fixture
+  --replay              fetch: answer requests from fixtures instead of the network
+  --fixtures <dir>      fetch: fixture folder for --record/--replay (default: fixtures/http)
+  --file <path>         reprocess: raw snapshot to replay (default: newest per format)
+  --all                 reprocess: replay every archived raw snapshot, oldest first
+  --as <type>           export: json, csv, ${EXPORT_TYPES.join(', ')} (default: json)
+  --side-a <list>       trade: players/picks side A receives, e.g. "Bijan Robinson,2026 1st"
+  --side-b <list>       trade: players/picks side B receives
+  --json                formats/trade/health: print as JSON
+  --port <n>            serve: port to listen on (default: ${DEFAULT_PORT})
+  --host <host>         serve: address to bind (default: ${DEFAULT_HOST})
+  -h, --help            Show this help
+
+Exit codes: 0 ok, 1 partial failure, 2 everything failed, 3 usage error`;
+
+class UsageError extends Error {}
+
+/**
+ * Work out which formats to run for each requested source
+ * Format names are matched across sources, so --format dynasty_superflex
+ * also selects Fantasy Calc's dynasty_2qb
+ * Leagues from config/league-settings.json a source can't serve come back as unsupported
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} [filter] - { fetchable: only sources that can be fetched (others are reprocess-only) }
+ * @returns {Array} [{ source, formats, unsupported }]
+ */
+function resolveTargets(options, filter = {}) {
+    const requestedSources = !options.source || options.source === 'all'
+        ? Object.keys(SOURCES).filter(source => !filter.fetchable || SOURCES[source].fetchRaw)
+        : options.source.split(',').map(s => s.trim());
+
+    for (const source of requestedSources) {
+        if (!SOURCES[source]) {
+            throw new UsageError(`Unknown source "${source}" (expected ${Object.keys(SOURCES).join(', ')} or all)`);
+        }
+        if (filter.fetchable && !SOURCES[source].fetchRaw) {
+            throw new UsageError(`${source} can't be fetched; save its pages under data/raw/${source}/ and use reprocess`);
+        }
+    }
+
+    const requestedFormats = options.format ? options.format.split(',').map(f => f.trim()) : null;
+    const targets = [];
+
+    for (const source of requestedSources) {
+        const available = Object.keys(SOURCES[source].formats);
+        const unsupported = SOURCES[source].unsupported || [];
+        const matches = key => !requestedFormats || requestedFormats.some(f =>
+            f === key || toCanonicalFormat(f) === canonicalFormat(source, key)
+        );
+
+        const formats = available.filter(matches);
+        const skipped = unsupported.filter(entry => matches(entry.format));
+
+        if (formats.length > 0 || skipped.length > 0) {
+            targets.push({ source, formats, unsupported: skipped });
+        } else if (requestedSources.length === 1) {
+            throw new UsageError(`${source} has no format matching "${options.format}" (available: ${available.join(', ')})`);
+        }
+    }
+
+    if (targets.length === 0) {
+        throw new UsageError(`No source has a format matching "${options.format}"`);
+    }
+
+    return targets;
+}
+
+/**
+ * Flatten per-source results into report rows
+ * @param {Array} runs - [{ source, results }]
+ * @param {Array} [targets] - Output of resolveTargets; unsupported leagues become their own rows
+ * @returns {Array} [{ source, format, success, players, error, unsupported }]
+ */
+function flattenResults(runs, targets = []) {
+    const rows = runs.flatMap(({ source, results }) =>
+        Object.entries(results).map(([format, result]) => ({ source, format, ...result }))
+    );
+    const unsupported = targets.flatMap(({ source, unsupported: entries = [] }) =>
+        entries.map(entry => ({ source, format: entry.format, unsupported: entry.reason }))
+    );
+    return [...rows, ...unsupported];
+}
+
+/**
+ * Print one combined report for a multi-source run
+ * @param {string} title - Report title
+ * @param {Array} rows - Output of flattenResults
+ */
+function printRunReport(title, rows) {
+    console.log(`\n=== ${title} ===`);
+
+    const width = Math.max(...rows.map(r => `${r.source}/${r.format}`.length), 10);
+    for (const row of rows) {
+        const status = row.unsupported ? '-' : row.success ? '✓' : '✗';
+        const details = row.unsupported ? `unsupported: ${row.unsupported}`
+            : row.unchanged ? 'not modified'
+            : !row.success ? row.error
+            : row.snapshots > 1 ? `${row.snapshots} snapshots, ${row.players} players in the newest`
+            : `${row.players} players`;
+        console.log(`  ${status} ${`${row.source}/${row.format}`.padEnd(width)}  ${details}`);
+    }
+
+    const ran = rows.filter(r => !r.unsupported);
+    const failed = ran.filter(r => !r.success).length;
+    const unsupported = rows.length > ran.length ? `, ${rows.length - ran.length} unsupported` : '';
+    const dryRun = rows.some(r => r.dryRun) ? ' (dry run, nothing written)' : '';
+    console.log(`\n${ran.length - failed} succeeded, ${failed} failed${unsupported}${dryRun}`);
+}
+
+/**
+ * Exit code for a set of report rows
+ * @param {Array} rows - Output of flattenResults
+ * @returns {number} Process exit code
+ */
+function exitCodeFor(rows) {
+    // Unsupported leagues are reported but never fail a run
+    const ran = rows.filter(r => !r.unsupported);
+    const failed = ran.filter(r => !r.success).length;
+    if (failed === 0) {
+        return EXIT_CODES.ok;
+    }
+    return failed === ran.length ? EXIT_CODES.failed : EXIT_CODES.partial;
+}
+
+/**
+ * Print the feeds that need attention
+ * @param {Array} issues - Output of summarizeHealth
+ */
+function printHealthSummary(issues) {
+    if (issues.length === 0) {
+        console.log('\nAll sources healthy');
+        return;
+    }
+
+    console.log('\n=== Source Health ===');
+    for (const issue of issues) {
+        const failures = issue.consecutiveFailures > 0 ? `, ${issue.consecutiveFailures} failure(s) in a row` : '';
+        const stale = issue.staleHours === undefined ? ''
+            : issue.staleHours === null ? ', never succeeded'
+            : `, last success ${issue.staleHours}h ago`;
+        console.log(`  ✗ ${issue.source}/${issue.format}  ${issue.status}${failures}${stale}`);
+        if (issue.error) {
+            console.log(`      ${issue.error}`);
+        }
+        console.log(`      → ${issue.action}`);
+    }
+}
+
+function resolveDir(dir) {
+    return dir ? path.resolve(dir) : DATA_DIR;
+}
+
+/**
+ * draft-compass fetch
+ */
+async function runFetch(options) {
+    const targets = resolveTargets(options, { fetchable: true });
+    const dataDir = resolveDir(options['out-dir']);
+    const concurrency = parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY;
+
+    if (options.record && options.replay) {
+        throw new UsageError('--record and --replay cannot be used together');
+    }
+
+    // One client for the whole run so per-host rate limits hold across sources
+    const http = createHttpClient({
+        mode: options.record ? 'record' : options.replay ? 'replay' : undefined,
+        fixturesDir: options.fixtures && path.resolve(options.fixtures),
+        cacheFile: path.join(getDataPaths(dataDir).status, 'http-cache.json')
+    });
+
+    // One registry for the whole run, saved once, so sources fetched in parallel can't drop each other's new IDs
+    const registryPath = getDataPaths(dataDir).registry;
+    const registry = loadRegistry(registryPath);
+
+    const runnable = targets.filter(t => t.formats.length > 0);
+    const runs = await mapLimit(runnable, concurrency, async ({ source, formats }) => ({
+        source,
+        results: await fetchSource(SOURCES[source], { formats, dryRun: options['dry-run'], dataDir, http, registry })
+    }));
+
+    const rows = flattenResults(runs, targets);
+    if (!options['dry-run']) {
+        saveRegistry(registry, registryPath);
+        updateManifest({ dataDir, results: rows });
+        updateHealth({ dataDir, results: rows });
+    }
+    printRunReport('Run Report', rows);
+    if (!options['dry-run']) {
+        printHealthSummary(summarizeHealth(loadHealth(dataDir), SOURCES));
+    }
+    return exitCodeFor(rows);
+}
+
+/**
+ * draft-compass reprocess
+ */
+async function runReprocess(options) {
+    const targets = resolveTargets(options);
+
+    if (options.file && targets.length !== 1) {
+        throw new UsageError('--file needs a single --source');
+    }
+    if (options.file && options.all) {
+        throw new UsageError('--file and --all cannot be used together');
+    }
+
+    const dataDir = resolveDir(options['out-dir']);
+    const registryPath = getDataPaths(dataDir).registry;
+    const registry = loadRegistry(registryPath);
+    const runs = [];
+
+    for (const { source, formats } of targets.filter(t => t.formats.length > 0)) {
+        const results = reprocessSource(SOURCES[source], {
+            formats,
+            file: options.file ? path.resolve(options.file) : undefined,
+            all: options.all,
+            dryRun: options['dry-run'],
+            dataDir,
+            inputDir: resolveDir(options['data-dir']),
+            registry
+        });
+        runs.push({ source, results });
+    }
+
+    const rows = flattenResults(runs, targets);
+    if (!options['dry-run']) {
+        saveRegistry(registry, registryPath);
+        updateManifest({ dataDir, results: rows });
+    }
+    printRunReport('Reprocess Report', rows);
+    return exitCodeFor(rows);
+}
+
+/**
+ * Find the newest history snapshot that differs from the latest file
+ * @returns {Object|null} Previous rankings data
+ */
+function findPreviousSnapshot(processedDir, stem, latest) {
+    const history = listHistory(processedDir, stem).reverse();
+
+    for (const { file } of history) {
+        const data = readSnapshot(file);
+        if (data.lastUpdated !== latest.lastUpdated) {
+            return data;
+        }
+    }
+    return null;
+}
+
+/**
+ * draft-compass validate
+ */
+async function runValidate(options) {
+    const processedRoot = getDataPaths(resolveDir(options['data-dir'])).processed;
+    const rows = [];
+
+    for (const { source, formats } of resolveTargets(options)) {
+        for (const format of formats) {
+            const processedDir = path.join(processedRoot, source);
+            const stem = rankingsFileStem(source, format);
+            const latestPath = path.join(processedDir, `${stem}-latest.json`);
+
+            if (!fs.existsSync(latestPath)) {
+                rows.push({ source, format, success: false, error: `missing ${latestPath}` });
+                continue;
+            }
+
+            let latest;
+            try {
+                latest = JSON.parse(fs.readFileSync(latestPath, 'utf8'));
+            } catch (error) {
+                rows.push({ source, format, success: false, error: `unreadable ${latestPath}: ${error.message}` });
+                continue;
+            }
+
+            const previous = findPreviousSnapshot(processedDir, stem, latest);
+            const result = checkSnapshot(latest, previous);
+
+            rows.push({
+                source,
+                format,
+                success: result.passed,
+                players: latest.totalPlayers,
+                error: result.errors.join(' | ')
+            });
+        }
+    }
+
+    printRunReport('Validation Report', rows);
+    return exitCodeFor(rows);
+}
+
+/**
+ * draft-compass export
+ */
+async function runExport(options) {
+    const dataDir = resolveDir(options['data-dir']);
+    const processedRoot = getDataPaths(dataDir).processed;
+    const type = options.as || 'json';
+    const copy = ['json', 'csv'].includes(type);
+
+    if (!copy && !EXPORT_TYPES.includes(type)) {
+        throw new UsageError(`Unknown export type "${type}" (expected json, csv, ${EXPORT_TYPES.join(', ')})`);
+    }
+
+    // json/csv are the processed files as published; everything else is rendered from the latest JSON
+    const exports = resolveTargets(options).flatMap(({ source, formats }) => formats.map(format => {
+        const stem = rankingsFileStem(source, format);
+        return {
+            source,
+            format,
+            file: path.join(processedRoot, source, `${stem}-latest.${copy ? type : 'json'}`),
+            name: copy ? `${source}-${stem}-latest.${type}` : `${source}-${stem}-${type}.${exportExtension(type)}`
+        };
+    }));
+
+    const registry = copy ? null : loadRegistry(getDataPaths(dataDir).registry);
+    const render = ({ file, format }) => (copy
+        ? fs.readFileSync(file, 'utf8')
+        : renderExport(JSON.parse(fs.readFileSync(file, 'utf8')), type, { registry, format }));
+
+    if (!options['out-dir']) {
+        if (exports.length !== 1) {
+            throw new UsageError('Printing to stdout needs exactly one --source and --format (or use --out-dir)');
+        }
+        process.stdout.write(render(exports[0]));
+        return EXIT_CODES.ok;
+    }
+
+    const outDir = path.resolve(options['out-dir']);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const rows = exports.map(entry => {
+        const { source, format, file, name } = entry;
+        if (!fs.existsSync(file)) {
+            console.error(`  ✗ ${source}/${format}: no latest file`);
+            return { source, format, success: false };
+        }
+
+        const target = path.join(outDir, name);
+        fs.writeFileSync(target, render(entry));
+        console.log(`  Exported ${target}`);
+        return { source, format, success: true };
+    });
+
+    return exitCodeFor(rows);
+}
+
+/**
+ * draft-compass formats
+ */
+async function runFormats(options) {
+    const targets = resolveTargets({ source: options.source });
+    const listing = {};
+
+    for (const { source } of targets) {
+        listing[source] = [
+            ...Object.entries(SOURCES[source].formats).map(([key, config]) => ({
+                format: key,
+                name: config.name,
+                canonical: canonicalFormat(source, key)
+            })),
+            ...(SOURCES[source].unsupported || []).map(entry => ({
+                format: entry.format,
+                name: entry.name,
+                canonical: canonicalFormat(source, entry.format),
+                unsupported: entry.reason
+            }))
+        ];
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(listing, null, 2));
+        return EXIT_CODES.ok;
+    }
+
+    for (const [source, formats] of Object.entries(listing)) {
+        console.log(`${source} (${SOURCES[source].name})`);
+        for (const f of formats) {
+            const alias = f.canonical !== f.format ? `  (= ${f.canonical})` : '';
+            const note = f.unsupported ? `  [unsupported: ${f.unsupported}]` : '';
+            console.log(`  ${f.format.padEnd(26)} ${f.name}${alias}${note}`);
+        }
+        console.log('');
+    }
+
+    return EXIT_CODES.ok;
+}
+
+/**
+ * Split repeated/comma-separated --side-a/--side-b values into assets
+ */
+function parseSide(values = []) {
+    return values.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Print one side of a trade under one source
+ */
+function printSide(label, side) {
+    console.log(`  ${label}: ${side.total} raw, ${side.adjustedTotal} adjusted`);
+    for (const asset of side.assets) {
+        console.log(`    ${asset.name.padEnd(26)} ${asset.position.padEnd(4)} ${String(asset.value).padStart(5)}  (${asset.adjusted})`);
+    }
+    for (const input of side.missing) {
+        console.log(`    ${input.padEnd(26)} not found`);
+    }
+}
+
+/**
+ * draft-compass trade
+ */
+async function runTrade(options) {
+    const trade = { a: parseSide(options['side-a']), b: parseSide(options['side-b']) };
+
+    if (trade.a.length === 0 || trade.b.length === 0) {
+        throw new UsageError('trade needs --side-a and --side-b');
+    }
+    if (!options.format || options.format.includes(',')) {
+        throw new UsageError('trade needs a single --format, e.g. dynasty_superflex');
+    }
+
+    let result;
+    try {
+        result = evaluateTrade(trade, {
+            format: toCanonicalFormat(options.format),
+            dataDir: resolveDir(options['data-dir'])
+        });
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_CODES.failed;
+    }
+
+    const missing = [...result.missing.a, ...result.missing.b];
+    if (missing.length > 0) {
+        throw new UsageError(`No player found for: ${missing.join(', ')}`);
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return EXIT_CODES.ok;
+    }
+
+    console.log(`=== Trade (${result.format}) ===`);
+    for (const evaluation of result.sources) {
+        console.log(`\n${SOURCES[evaluation.source].name} (${evaluation.lastUpdated})`);
+        printSide('Side A gets', evaluation.sides.a);
+        printSide('Side B gets', evaluation.sides.b);
+        const leader = evaluation.difference >= 0 ? 'A' : 'B';
+        console.log(`  Balance: side ${leader} +${Math.abs(evaluation.difference)} (${Math.abs(evaluation.balance)}%)`);
+    }
+
+    if (result.unpriced.length > 0) {
+        console.log(`\nUnpriced picks (no pick values published): ${result.unpriced.join(', ')}`);
+    }
+
+    console.log('');
+    if (result.verdict === 'even') {
+        console.log(`Verdict: even (average gap ${Math.abs(result.gap)})`);
+    } else {
+        const winner = result.verdict.toUpperCase();
+        const other = result.verdict === 'a' ? 'B' : 'A';
+        console.log(`Verdict: side ${winner} gets more (average gap ${Math.abs(result.gap)} adjusted)`);
+        console.log(`To even it, add one of these to side ${other}:`);
+        for (const player of result.suggestions) {
+            const values = Object.entries(player.values).map(([source, value]) => `${source} ${value}`).join(', ');
+            console.log(`  ${player.name} (${player.position}, ${player.team})  ${values}`);
+        }
+    }
+
+    return EXIT_CODES.ok;
+}
+
+/**
+ * draft-compass health
+ * Exits 1 when any feed needs attention, so scheduled jobs can alert on it
+ */
+async function runHealth(options) {
+    const health = loadHealth(resolveDir(options['data-dir']));
+    if (!health) {
+        console.error('No health recorded yet; run draft-compass fetch first');
+        return EXIT_CODES.failed;
+    }
+
+    const issues = summarizeHealth(health, SOURCES);
+    if (options.json) {
+        console.log(JSON.stringify({ generatedAt: health.generatedAt, issues, sources: health.sources }, null, 2));
+    } else {
+        console.log(`Source health as of ${health.generatedAt}`);
+        printHealthSummary(issues);
+    }
+    return issues.length === 0 ? EXIT_CODES.ok : EXIT_CODES.partial;
+}
+
+/**
+ * draft-compass compact
+ * Applies the storage rules to everything archived so far (history written before
+ * compression, duplicate captures, snapshots past retention)
+ */
+async function runCompact(options) {
+    const dataDir = resolveDir(options['data-dir']);
+    const paths = getDataPaths(dataDir);
+    const dryRun = options['dry-run'];
+    const sources = !options.source || options.source === 'all' ? null : options.source.split(',').map(s => s.trim());
+    const selected = source => !sources || sources.includes(source);
+    const archives = [];
+
+    for (const feed of listFeeds({ datasets: true }).filter(f => selected(f.source))) {
+        archives.push({
+            label: `${feed.source}/${feed.format}`,
+            source: feed.source,
+            dir: path.join(paths.processed, feed.source),
+            prefix: `${rankingsFileStem(feed.source, feed.format)}-`,
+            extension: '.json',
+            hashOf: text => snapshotHash(JSON.parse(text))
+        });
+    }
+
+    for (const adapter of Object.values(SOURCES).filter(a => selected(a.id))) {
+        const dirs = adapter.raw.perFormat || typeof adapter.raw.prefix === 'function'
+            ? Object.keys(adapter.formats).map(format => ({ label: `${adapter.id}/${format} raw`, format }))
+            : [{ label: `${adapter.id} raw`, format: null }];
+        for (const { label, format } of dirs) {
+            archives.push({
+                label,
+                source: adapter.id,
+                dir: rawDirFor(adapter, format, dataDir),
+                prefix: rawPrefixFor(adapter, format),
+                extension: adapter.raw.extension
+            });
+        }
+    }
+
+    console.log(`=== Compacting ${dataDir}${dryRun ? ' (dry run)' : ''} ===`);
+    const width = Math.max(...archives.map(a => a.label.length), 10);
+    const totals = { compressed: 0, duplicates: 0, expired: 0, kept: 0 };
+
+    for (const archive of archives.filter(a => fs.existsSync(a.dir))) {
+        const summary = compactArchive(archive.dir, archive.prefix, archive.extension, {
+            rules: retentionFor(archive.source),
+            hashOf: archive.hashOf,
+            dryRun
+        });
+        if (summary.kept === 0 && summary.expired === 0 && summary.duplicates === 0) {
+            continue;
+        }
+        Object.keys(totals).forEach(key => {
+            totals[key] += summary[key];
+        });
+        console.log(`  ${archive.label.padEnd(width)}  ${summary.kept} kept, ${summary.compressed} compressed, ` +
+            `${summary.duplicates} duplicates, ${summary.expired} expired`);
+    }
+
+    console.log(`\n${totals.kept} kept, ${totals.compressed} compressed, ${totals.duplicates} duplicates removed, ` +
+        `${totals.expired} expired${dryRun ? ' (dry run, nothing written)' : ''}`);
+    return EXIT_CODES.ok;
+}
+
+/**
+ * draft-compass serve
+ * Runs until interrupted
+ */
+async function runServe(options) {
+    const port = options.port === undefined ? DEFAULT_PORT : Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new UsageError(`Invalid --port "${options.port}"`);
+    }
+    const host = options.host || DEFAULT_HOST;
+    const dataDir = resolveDir(options['data-dir']);
+    const server = createApiServer({ dataDir });
+
+    return new Promise(resolve => {
+        server.on('error', error => {
+            console.error(`Could not serve on ${host}:${port}: ${error.message}`);
+            resolve(EXIT_CODES.failed);
+        });
+
+        server.listen(port, host, () => {
+            const address = server.address();
+            console.log(`Serving ${getDataPaths(dataDir).processed} at http://${host}:${address.port}/ (Ctrl+C to stop)`);
+        });
+
+        const stop = () => server.close(() => resolve(EXIT_CODES.ok));
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+const COMMANDS = {
+    fetch: runFetch,
+    reprocess: runReprocess,
+    validate: runValidate,
+    export: runExport,
+    formats: runFormats,
+    trade: runTrade,
+    serve: runServe,
+    health: runHealth,
+    compact: runCompact
+};
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the node binary and script
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                source: { type: 'string' },
+                format: { type: 'string' },
+                'dry-run': { type: 'boolean', default: false },
+                'out-dir': { type: 'string' },
+                'data-dir': { type: 'string' },
+                concurrency: { type: 'string' },
+                record: { type: 'boolean', default: false },
+                replay: { type: 'boolean', default: false },
+                fixtures: { type: 'string' },
+                file: { type: 'string' },
+                all: { type: 'boolean', default: false },
+                as: { type: 'string' },
+                'side-a': { type: 'string', multiple: true },
+                'side-b': { type: 'string', multiple: true },
+                json: { type: 'boolean', default: false },
+                port: { type: 'string' },
+                host: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_CODES.usage;
+    }
+
+    const [command] = parsed.positionals;
+
+    if (parsed.values.help || !command) {
+        console.log(USAGE);
+        return command || parsed.values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}"\n`);
+        console.error(USAGE);
+        return EXIT_CODES.usage;
+    }
+
+    try {
+        return await COMMANDS[command](parsed.values);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(error.message);
+            return EXIT_CODES.usage;
+        }
+        throw error;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = EXIT_CODES.failed;
+    });
+}
+
+module.exports = { main, resolveTargets, SOURCES, EXIT_CODES };
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { listFeeds } = require('./feeds');
+const { listSources } = require('./sources');
+const { canonicalFormat, sourceFormat, toCanonicalFormat } = require('./formats');
+const { normalizeName } = require('./player-registry');
+const { findPlayer } = require('./trade');
+const { DATA_DIR, getDataPaths, rankingsFileStem } = require('./paths');
+const { listHistory, readSnapshot } = require('./storage');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Everything is public and read-only, so any origin may read it
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+    'Access-Control-Max-Age': '86400'
+};
+
+const CONTENT_TYPES = {
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.ndjson': 'application/x-ndjson; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Strong ETag for a response body
+ */
+function etagFor(body) {
+    return `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 32)}"`;
+}
+
+/**
+ * Whether the client's If-None-Match already covers this ETag
+ */
+function isNotModified(req, etag) {
+    const header = req.headers['if-none-match'];
+    if (!header) {
+        return false;
+    }
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * Send a body with ETag and CORS headers, or 304 when the client has it already
+ */
+function send(req, res, status, body, contentType) {
+    const etag = etagFor(body);
+    const headers = { ...CORS_HEADERS, ETag: etag, 'Cache-Control': 'no-cache' };
+
+    if (status === 200 && isNotModified(req, etag)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    res.writeHead(status, { ...headers, 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body) });
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function sendJson(req, res, status, data) {
+    send(req, res, status, JSON.stringify(data), CONTENT_TYPES['.json']);
+}
+
+/**
+ * Decode one URL path segment
+ */
+function decodePart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch (error) {
+        throw new HttpError(400, `Malformed URL segment "${part}"`);
+    }
+}
+
+function readJson(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Find a published feed from URL parts; canonical and source format names both work
+ * ("/rankings/fantasycalc/dynasty_superflex" serves Fantasy Calc's dynasty_2qb)
+ * @returns {Object} Feed from listFeeds
+ */
+function resolveFeed(source, format) {
+    const feeds = listFeeds({ datasets: true }).filter(feed => feed.source === source);
+    if (feeds.length === 0) {
+        throw new HttpError(404, `Unknown source "${source}"`);
+    }
+
+    const key = sourceFormat(source, toCanonicalFormat(format));
+    const feed = feeds.find(f => f.format === format) || feeds.find(f => f.format === key);
+    if (!feed) {
+        throw new HttpError(404, `${source} has no format "${format}"`);
+    }
+    return feed;
+}
+
+/**
+ * The list a feed's file holds: players, or the dataset's entries (KTC picks)
+ */
+function entriesOf(data) {
+    return data.dataset ? data[data.dataset] : data.players;
+}
+
+/**
+ * Parse a numeric query parameter
+ */
+function numberParam(query, name) {
+    if (!query.has(name)) {
+        return null;
+    }
+    const value = Number(query.get(name));
+    if (query.get(name) === '' || !Number.isFinite(value)) {
+        throw new HttpError(400, `${name} must be a number`);
+    }
+    return value;
+}
+
+/**
+ * Parse a comma-separated query parameter into an upper-case set
+ */
+function listParam(query, name) {
+    if (!query.has(name)) {
+        return null;
+    }
+    return new Set(query.get(name).split(',').map(v => v.trim().toUpperCase()).filter(Boolean));
+}
+
+/**
+ * Filter a feed's players by the query string
+ * position, team: comma-separated lists; minRank, maxRank: inclusive bounds;
+ * tier: autoTier at or above; q: name contains; limit: first n after filtering
+ * @param {Array} players - Players or dataset entries
+ * @param {URLSearchParams} query - Query string
+ * @returns {Array} Matching players in rank order
+ */
+function filterPlayers(players, query) {
+    const positions = listParam(query, 'position');
+    const teams = listParam(query, 'team');
+    const minRank = numberParam(query, 'minRank');
+    const maxRank = numberParam(query, 'maxRank');
+    const tier = numberParam(query, 'tier');
+    const limit = numberParam(query, 'limit');
+    const name = query.has('q') ? normalizeName(query.get('q')) : null;
+
+    const matches = players
+        .filter(p => !positions || positions.has(String(p.position).toUpperCase()))
+        .filter(p => !teams || teams.has(String(p.team).toUpperCase()))
+        .filter(p => minRank === null || p.rank >= minRank)
+        .filter(p => maxRank === null || p.rank <= maxRank)
+        .filter(p => tier === null || (p.autoTier !== null && p.autoTier !== undefined && p.autoTier <= tier))
+        .filter(p => !name || normalizeName(p.name).includes(name))
+        .sort((a, b) => a.rank - b.rank);
+
+    return limit === null ? matches : matches.slice(0, Math.max(limit, 0));
+}
+
+/**
+ * Every snapshot of a feed, oldest first; the latest file is included in case it is
+ * newer than the newest history file
+ */
+function loadSnapshots(processedDir, stem) {
+    if (!fs.existsSync(processedDir)) {
+        return [];
+    }
+
+    const byTime = new Map();
+    const latestPath = path.join(processedDir, `${stem}-latest.json`);
+    const files = [...listHistory(processedDir, stem).map(entry => entry.file), ...(fs.existsSync(latestPath) ? [latestPath] : [])];
+
+    for (const file of files) {
+        const data = readSnapshot(file);
+        if (data?.lastUpdated && Array.isArray(entriesOf(data))) {
+            byTime.set(data.lastUpdated, data);
+        }
+    }
+
+    return [...byTime.values()].sort((a, b) => a.lastUpdated.localeCompare(b.lastUpdated));
+}
+
+/**
+ * GET /
+ */
+function handleIndex() {
+    return {
+        endpoints: {
+            '/sources': 'Every source and format with its latest file',
+            '/rankings/:source/:format': 'Latest rankings; filters: position, team, minRank, maxRank, tier, q, limit',
+            '/history/:source/:format/:player': 'One player across every stored snapshot (dcId, source ID or name)',
+            '/:path': 'Any file under data/processed, e.g. /manifest.json or /ktc/rankings-dynasty_1qb-latest.csv'
+        }
+    };
+}
+
+/**
+ * GET /sources
+ */
+function handleSources(processedRoot) {
+    const names = Object.fromEntries(listSources().map(adapter => [adapter.id, adapter.name]));
+    const sources = {};
+
+    for (const feed of listFeeds({ datasets: true })) {
+        const data = readJson(path.join(processedRoot, feed.source, `${rankingsFileStem(feed.source, feed.format)}-latest.json`));
+        const source = sources[feed.source] = sources[feed.source] || {
+            id: feed.source,
+            name: names[feed.source] || 'Consensus',
+            formats: []
+        };
+
+        source.formats.push({
+            format: feed.format,
+            name: feed.name,
+            canonicalFormat: canonicalFormat(feed.source, feed.format),
+            ...(feed.dataset && { dataset: feed.dataset }),
+            available: data !== null,
+            lastUpdated: data?.lastUpdated || null,
+            total: data ? entriesOf(data).length : null,
+            rankings: `/rankings/${feed.source}/${feed.format}`
+        });
+    }
+
+    return { sources: Object.values(sources) };
+}
+
+/**
+ * GET /rankings/:source/:format
+ */
+function handleRankings(processedRoot, source, format, query) {
+    const feed = resolveFeed(source, format);
+    const data = readJson(path.join(processedRoot, feed.source, `${rankingsFileStem(feed.source, feed.format)}-latest.json`));
+    if (!data) {
+        throw new HttpError(404, `No latest file for ${feed.source}/${feed.format}`);
+    }
+
+    const list = data.dataset || 'players';
+    const matches = filterPlayers(entriesOf(data), query);
+    return { ...data, [list]: matches, matched: matches.length };
+}
+
+/**
+ * GET /history/:source/:format/:player
+ * The player is looked up in the newest snapshot that has them, then followed back by
+ * dcId, or by name and position in snapshots written before players had one
+ */
+function handleHistory(processedRoot, source, format, query) {
+    const feed = resolveFeed(source, format);
+    const snapshots = loadSnapshots(path.join(processedRoot, feed.source), rankingsFileStem(feed.source, feed.format));
+
+    let player;
+    for (const snapshot of [...snapshots].reverse()) {
+        player = findPlayer(entriesOf(snapshot), query);
+        if (player) {
+            break;
+        }
+    }
+    if (!player) {
+        throw new HttpError(404, `No player "${query}" in ${feed.source}/${feed.format}`);
+    }
+
+    const nameKey = `${normalizeName(player.name)}|${player.position}`;
+    const history = snapshots.flatMap(snapshot => {
+        const entries = entriesOf(snapshot);
+        const match = (player.dcId && entries.find(p => p.dcId === player.dcId))
+            || entries.find(p => `${normalizeName(p.name)}|${p.position}` === nameKey);
+        return match ? [{ lastUpdated: snapshot.lastUpdated, ...match }] : [];
+    });
+
+    return {
+        source: feed.source,
+        format: feed.format,
+        player: { dcId: player.dcId || null, name: player.name, position: player.position, team: player.team },
+        snapshots: history
+    };
+}
+
+/**
+ * Serve a file under data/processed as is
+ */
+function serveFile(req, res, processedRoot, pathname) {
+    const file = path.resolve(processedRoot, `.${decodePart(pathname)}`);
+    if (!file.startsWith(processedRoot + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        throw new HttpError(404, `Not found: ${pathname}`);
+    }
+    send(req, res, 200, fs.readFileSync(file), CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+}
+
+/**
+ * Create the read-only rankings API over a data root's processed files
+ * Files are read on every request, so a fetch running alongside shows up without a restart
+ * @param {Object} [options] - { dataDir }
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createApiServer(options = {}) {
+    const { dataDir = DATA_DIR } = options;
+    const processedRoot = path.resolve(getDataPaths(dataDir).processed);
+
+    return http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        try {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.setHeader('Allow', 'GET, HEAD, OPTIONS');
+                throw new HttpError(405, `${req.method} is not supported; the API is read-only`);
+            }
+
+            const url = new URL(req.url, 'http://localhost');
+            const parts = url.pathname.split('/').filter(Boolean).map(decodePart);
+
+            if (parts.length === 0) {
+                sendJson(req, res, 200, handleIndex());
+            } else if (parts[0] === 'sources' && parts.length === 1) {
+                sendJson(req, res, 200, handleSources(processedRoot));
+            } else if (parts[0] === 'rankings' && parts.length === 3) {
+                sendJson(req, res, 200, handleRankings(processedRoot, parts[1], parts[2], url.searchParams));
+            } else if (parts[0] === 'history' && parts.length === 4) {
+                sendJson(req, res, 200, handleHistory(processedRoot, parts[1], parts[2], parts[3]));
+            } else {
+                serveFile(req, res, processedRoot, url.pathname);
+            }
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`${req.method} ${req.url} failed:`, error);
+            }
+            sendJson(req, res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error' });
+        }
+    });
+}
+
+module.exports = { createApiServer, filterPlayers, DEFAULT_PORT, DEFAULT_HOST };
@@ -0,0 +1,29 @@
+/**
+ * Run an async worker over items with at most `limit` running at once
+ * Results keep the order of the input items
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapLimit(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runners = [];
+    for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+        runners.push(run());
+    }
+    await Promise.all(runners);
+
+    return results;
+}
+
+module.exports = { mapLimit };
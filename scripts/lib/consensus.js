@@ -0,0 +1,7 @@
+// Kept out of build-consensus.js so lib/feeds.js can list the consensus feeds without
+// loading a script that runs a build when called directly
+
+// Bumped whenever a blending change alters the consensus output (listed in the manifest)
+const PARSER_VERSION = 1;
+
+module.exports = { PARSER_VERSION };
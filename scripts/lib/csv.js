@@ -0,0 +1,42 @@
+// RFC 4180 record separator
+const LINE_BREAK = '\r\n';
+
+/**
+ * Encode one CSV field (RFC 4180)
+ * Fields containing a comma, quote or line break are quoted, with quotes doubled;
+ * null and undefined become empty fields
+ * @param {*} value - Field value
+ * @returns {string} Encoded field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Encode one CSV record
+ * @param {Array} values - Field values
+ * @returns {string} Record without a line break
+ */
+function csvRecord(values) {
+    return values.map(csvField).join(',');
+}
+
+/**
+ * Write rows as CSV: a header record, then one record per row, each ending in CRLF
+ * @param {Array} columns - [{ header, value(row) }]
+ * @param {Array} rows - Rows to write
+ * @returns {string} CSV content
+ */
+function toCsv(columns, rows) {
+    const records = [
+        csvRecord(columns.map(c => c.header)),
+        ...rows.map(row => csvRecord(columns.map(c => c.value(row))))
+    ];
+    return records.join(LINE_BREAK) + LINE_BREAK;
+}
+
+module.exports = { csvField, csvRecord, toCsv };
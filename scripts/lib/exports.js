@@ -0,0 +1,143 @@
+const { toCsv } = require('./csv');
+const { TEAM_ABBREVIATIONS } = require('./teams');
+
+// Full team names by abbreviation, for platforms that import names ("ATL" -> "Atlanta Falcons")
+const TEAM_NAMES = Object.fromEntries(Object.entries(TEAM_ABBREVIATIONS).map(([name, code]) => [code, name]));
+
+// ESPN spells a few abbreviations its own way
+const ESPN_TEAMS = { WAS: 'WSH' };
+
+/**
+ * A player's ID on another platform: from the processed file when the source carries it,
+ * otherwise from the player registry
+ * @param {Object} player - Processed player
+ * @param {string} platform - Registry source key (sleeper, underdog)
+ * @param {Object} [registry] - Player registry
+ * @returns {string} Platform ID or ''
+ */
+function platformId(player, platform, registry) {
+    return player[`${platform}Id`] || registry?.players[player.dcId]?.sourceIds[platform] || '';
+}
+
+/**
+ * Split a display name into first and last name ("Amon-Ra St. Brown" -> "Amon-Ra", "St. Brown")
+ */
+function splitName(name) {
+    const space = name.indexOf(' ');
+    return space === -1 ? [name, ''] : [name.slice(0, space), name.slice(space + 1)];
+}
+
+/**
+ * Number players within their position in the order given ("WR1", "WR2", ...)
+ * @param {Array} players - Players in rank order
+ * @returns {Map} player -> position rank
+ */
+function positionRanks(players) {
+    const counts = {};
+    const ranks = new Map();
+    for (const p of players) {
+        counts[p.position] = (counts[p.position] || 0) + 1;
+        ranks.set(p, counts[p.position]);
+    }
+    return ranks;
+}
+
+// Custom-rankings layouts per draft platform; columns get (player, context) where context is
+// { rank, positionRank, registry } for the player's place in the export
+const EXPORT_PROFILES = {
+    sleeper: {
+        name: 'Sleeper custom rankings',
+        columns: [
+            { header: 'rank', value: (p, c) => c.rank },
+            { header: 'player_id', value: (p, c) => platformId(p, 'sleeper', c.registry) },
+            { header: 'name', value: p => p.name },
+            { header: 'position', value: p => p.position },
+            { header: 'team', value: p => p.team }
+        ]
+    },
+    espn: {
+        name: 'ESPN custom draft rankings',
+        columns: [
+            { header: 'Rank', value: (p, c) => c.rank },
+            { header: 'Player', value: p => p.name },
+            { header: 'Position', value: p => p.position },
+            { header: 'Team', value: p => ESPN_TEAMS[p.team] || p.team }
+        ]
+    },
+    yahoo: {
+        name: 'Yahoo pre-draft rankings',
+        columns: [
+            { header: 'Rank', value: (p, c) => c.rank },
+            { header: 'Player', value: p => p.name },
+            { header: 'Team', value: p => p.team },
+            { header: 'Position', value: p => p.position }
+        ]
+    },
+    // Underdog imports its own export layout and orders players by the adp column
+    underdog: {
+        name: 'Underdog rankings import',
+        columns: [
+            { header: 'id', value: (p, c) => platformId(p, 'underdog', c.registry) },
+            { header: 'firstName', value: p => splitName(p.name)[0] },
+            { header: 'lastName', value: p => splitName(p.name)[1] },
+            { header: 'adp', value: (p, c) => c.rank },
+            { header: 'projectedPoints', value: p => p.projectedPoints },
+            { header: 'positionRank', value: (p, c) => `${p.position}${c.positionRank}` },
+            { header: 'slotName', value: p => p.position },
+            { header: 'teamName', value: p => TEAM_NAMES[p.team] || p.team },
+            { header: 'lineupStatus', value: p => p.lineupStatus },
+            { header: 'byeWeek', value: p => p.byeWeek }
+        ]
+    }
+};
+
+// Every --as type the export command understands besides the processed json/csv files
+const EXPORT_TYPES = ['ndjson', ...Object.keys(EXPORT_PROFILES)];
+
+/**
+ * Newline-delimited JSON: one player per line, each carrying its feed's source, format and capture time
+ * @param {Object} data - Processed rankings data
+ * @param {string} [format] - Format key, for files written before their feed carried one (Underdog)
+ * @returns {string} NDJSON content
+ */
+function toNdjson(data, format) {
+    const feed = { source: data.source, format: data.format || format || null, lastUpdated: data.lastUpdated };
+    return data.players.map(p => JSON.stringify({ ...feed, ...p })).join('\n') + '\n';
+}
+
+/**
+ * Render a processed feed as NDJSON or as a platform import file
+ * Players are written in rank order and renumbered 1..n, so every platform gets a gapless ranking
+ * @param {Object} data - Processed rankings data
+ * @param {string} type - "ndjson" or a profile key
+ * @param {Object} [options] - { registry } for platform IDs the feed doesn't carry itself, { format } for NDJSON
+ * @returns {string} File content
+ */
+function renderExport(data, type, options = {}) {
+    if (type === 'ndjson') {
+        return toNdjson(data, options.format);
+    }
+
+    const profile = EXPORT_PROFILES[type];
+    if (!profile) {
+        throw new Error(`Unknown export type "${type}"`);
+    }
+
+    const players = [...data.players].sort((a, b) => a.rank - b.rank);
+    const ranks = positionRanks(players);
+    const context = (p, i) => ({ rank: i + 1, positionRank: ranks.get(p), registry: options.registry });
+
+    return toCsv(
+        profile.columns.map(column => ({ header: column.header, value: row => column.value(row.player, row.context) })),
+        players.map((player, i) => ({ player, context: context(player, i) }))
+    );
+}
+
+/**
+ * File extension for an export type
+ */
+function exportExtension(type) {
+    return type === 'ndjson' ? 'ndjson' : 'csv';
+}
+
+module.exports = { EXPORT_PROFILES, EXPORT_TYPES, renderExport, exportExtension, toNdjson };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { listSources } = require('./sources');
+const { FORMAT_NAMES } = require('./formats');
+const { datasetFormat } = require('./pipeline');
+const { rankingsFileStem } = require('./paths');
+const { PARSER_VERSION: CONSENSUS_PARSER_VERSION } = require('./consensus');
+
+/**
+ * Every published source/format feed, built from the source adapters' format tables
+ * @param {Object} [options] - { consensus: include the consensus feeds (default true),
+ *                               datasets: include non-ranking datasets such as KTC picks (default false) }
+ * @returns {Array} [{ source, format, name, parserVersion, dataset }]
+ */
+function listFeeds(options = {}) {
+    const { consensus: includeConsensus = true, datasets: includeDatasets = false } = options;
+
+    const fromTable = (source, parserVersion, formats) => Object.entries(formats).map(([format, config]) => ({
+        source,
+        format,
+        name: config.name,
+        parserVersion
+    }));
+
+    const feeds = listSources().flatMap(adapter => fromTable(adapter.id, adapter.parserVersion, adapter.formats));
+
+    if (includeDatasets) {
+        for (const adapter of listSources()) {
+            for (const [name, dataset] of Object.entries(adapter.datasets || {})) {
+                for (const config of Object.values(adapter.formats)) {
+                    if (!dataset.appliesTo || dataset.appliesTo(config)) {
+                        feeds.push({
+                            source: adapter.id,
+                            format: datasetFormat(name, config.format),
+                            name: `${config.name} (${name})`,
+                            parserVersion: adapter.parserVersion,
+                            dataset: name
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    if (includeConsensus) {
+        const formats = Object.fromEntries(Object.entries(FORMAT_NAMES).map(([format, name]) => [format, { name }]));
+        feeds.push(...fromTable('consensus', CONSENSUS_PARSER_VERSION, formats));
+    }
+
+    return feeds;
+}
+
+/**
+ * Read a source/format's latest processed file
+ * @param {string} processedDir - data/processed
+ * @param {string} source - Source key
+ * @param {string} format - Source format key
+ * @returns {Object|null} Rankings data or null when it hasn't been published
+ */
+function loadLatest(processedDir, source, format) {
+    const file = path.join(processedDir, source, `${rankingsFileStem(source, format)}-latest.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+module.exports = { listFeeds, loadLatest };
@@ -0,0 +1,71 @@
+const { loadLeagueSettings, formatKey, formatName } = require('./league-settings');
+
+// Canonical league format keys shared by every source, one per league in config/league-settings.json
+// Sources that name a format differently are mapped onto these keys
+const FORMAT_NAMES = Object.fromEntries(loadLeagueSettings().map(settings => [formatKey(settings), formatName(settings)]));
+
+// Source-specific format names that differ from the canonical key
+const FORMAT_ALIASES = {
+    fantasycalc: {
+        dynasty_2qb: 'dynasty_superflex',
+        redraft_2qb: 'redraft_superflex'
+    },
+    underdog: {
+        // Underdog best ball drafts are single-QB redraft leagues
+        best_ball: 'redraft_1qb'
+    },
+    fantasypros: {
+        // Best ball ADP across Underdog, BB10s, DraftKings and others
+        best_ball: 'redraft_1qb'
+    }
+};
+
+/**
+ * Whether a format is an alias key, or a league format built on one ("dynasty_2qb_10team" on "dynasty_2qb")
+ * Whole-feed aliases such as best_ball never take league-setting suffixes
+ */
+function matchesAlias(key, format) {
+    return format === key || (/^(dynasty|redraft)_/.test(key) && format.startsWith(`${key}_`));
+}
+
+/**
+ * Map a source's own format name to the canonical format key
+ * League-setting suffixes carry over ("dynasty_2qb_10team" -> "dynasty_superflex_10team")
+ * @param {string} source - Source key (ktc, fantasycalc, underdog)
+ * @param {string} format - Format name as used by that source
+ * @returns {string} Canonical format key
+ */
+function canonicalFormat(source, format) {
+    const aliases = FORMAT_ALIASES[source] || {};
+    const base = Object.keys(aliases).find(key => matchesAlias(key, format));
+    return base ? aliases[base] + format.slice(base.length) : format;
+}
+
+/**
+ * Map a canonical format key back to a source's own format name
+ * @param {string} source - Source key
+ * @param {string} format - Canonical format key
+ * @returns {string} Format name as used by that source
+ */
+function sourceFormat(source, format) {
+    const aliases = FORMAT_ALIASES[source] || {};
+    const match = Object.keys(aliases).find(key => /^(dynasty|redraft)_/.test(key) ? matchesAlias(aliases[key], format) : format === aliases[key]);
+    return match ? match + format.slice(aliases[match].length) : format;
+}
+
+/**
+ * Canonical key for a format name from any source ("dynasty_2qb" -> "dynasty_superflex")
+ * @param {string} format - Format name as used by any source
+ * @returns {string} Canonical format key
+ */
+function toCanonicalFormat(format) {
+    for (const source of Object.keys(FORMAT_ALIASES)) {
+        const canonical = canonicalFormat(source, format);
+        if (canonical !== format) {
+            return canonical;
+        }
+    }
+    return format;
+}
+
+module.exports = { FORMAT_NAMES, FORMAT_ALIASES, canonicalFormat, sourceFormat, toCanonicalFormat };
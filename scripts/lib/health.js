@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, getDataPaths, rankingsFileStem } = require('./paths');
+const { writeJsonAtomic } = require('./storage');
+
+// Fetch outcomes, from healthy to unknown
+const HEALTH_STATUSES = [
+    'ok',                   // Published, or not modified since the last fetch
+    'partial',              // Data came back but part of it was held back (publish gate, a failed dataset)
+    'expired_credentials',  // The source wants new credentials (Underdog's download URL expired)
+    'blocked',              // Refused or rate-limited (403, 429, bot challenge pages)
+    'layout_changed',       // The response no longer looks like what the parser expects
+    'unreachable',          // Network errors and timeouts after every retry
+    'failed'                // Anything else
+];
+
+// A feed counts as stale once its last success is this old (four scheduled runs)
+const STALE_AFTER_HOURS = 24;
+
+// What to do about each status; adapters can override with a health.actions table
+const DEFAULT_ACTIONS = {
+    partial: 'Check the rejection report in data/rejected/{source}/; if the change is real, rerun with PUBLISH_GATE_FORCE=1',
+    expired_credentials: 'Renew the credentials {source} uses',
+    blocked: 'Wait for the next run; if it keeps failing, lower the request rate or check the source in a browser',
+    layout_changed: 'Compare the newest raw snapshot in data/raw/{source}/ with scripts/sources/{source}.js and update the parser',
+    unreachable: 'Usually transient; rerun the fetch if the next scheduled run fails too',
+    failed: 'See the error above'
+};
+
+/**
+ * Error that already knows its health status
+ * Adapters throw these for failures they can recognise (a login page, a missing table);
+ * anything else is classified by classifyError
+ */
+class SourceError extends Error {
+    constructor(message, health) {
+        super(message);
+        this.name = 'SourceError';
+        this.health = health;
+    }
+}
+
+/**
+ * Health status for a failed fetch
+ * @param {Error} error - Error thrown while fetching, parsing or publishing
+ * @returns {string} One of HEALTH_STATUSES
+ */
+function classifyError(error) {
+    if (error.health) {
+        return error.health;
+    }
+    if (error.status === 401) {
+        return 'expired_credentials';
+    }
+    if (error.status === 403 || error.status === 429) {
+        return 'blocked';
+    }
+    if (error instanceof SyntaxError) {
+        return 'layout_changed';
+    }
+    if (/failed after \d+ attempts|timed out/.test(error.message)) {
+        return 'unreachable';
+    }
+    return 'failed';
+}
+
+function healthPath(dataDir = DATA_DIR) {
+    return path.join(getDataPaths(dataDir).status, 'health.json');
+}
+
+/**
+ * Read data/status/health.json
+ * @param {string} [dataDir] - Data root
+ * @returns {Object|null} Health file or null before the first fetch
+ */
+function loadHealth(dataDir = DATA_DIR) {
+    const file = healthPath(dataDir);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Record a fetch run in data/status/health.json
+ * Feeds that didn't run keep their entry; a feed's first entry takes its last success
+ * from the latest file, so staleness is known from the first run on
+ * @param {Object} options - { dataDir, results: rows from the run report }
+ * @returns {Object} The health file written
+ */
+function updateHealth(options) {
+    const { dataDir = DATA_DIR, results } = options;
+    const previous = loadHealth(dataDir) || { sources: {} };
+    const now = new Date().toISOString();
+    const health = { generatedAt: now, sources: previous.sources || {} };
+
+    for (const row of results) {
+        if (row.unsupported || row.dryRun) {
+            continue;
+        }
+
+        const before = health.sources[row.source]?.[row.format];
+        const latestPath = path.join(getDataPaths(dataDir).processed, row.source, `${rankingsFileStem(row.source, row.format)}-latest.json`);
+        const published = !before && fs.existsSync(latestPath) ? JSON.parse(fs.readFileSync(latestPath, 'utf8')).lastUpdated : null;
+
+        const status = row.success ? 'ok' : row.health || 'failed';
+        const entry = {
+            status,
+            lastAttempt: now,
+            lastSuccess: row.success ? now : before?.lastSuccess || published || null,
+            consecutiveFailures: row.success ? 0 : (before?.consecutiveFailures || 0) + 1,
+            lastError: row.success ? before?.lastError || null : { at: now, status, message: row.error || 'unknown error' }
+        };
+
+        health.sources[row.source] = health.sources[row.source] || {};
+        health.sources[row.source][row.format] = entry;
+    }
+
+    const file = healthPath(dataDir);
+    writeJsonAtomic(file, health);
+    console.log(`Saved source health to ${file}`);
+
+    return health;
+}
+
+/**
+ * Feeds that need attention, with what to do about each
+ * @param {Object} health - Health file
+ * @param {Object} adapters - Source adapters by ID, for source-specific actions
+ * @param {Date} [now] - Current time
+ * @returns {Array} [{ source, format, status, consecutiveFailures, lastSuccess, staleHours, error, action }]
+ */
+function summarizeHealth(health, adapters, now = new Date()) {
+    const issues = [];
+
+    for (const [source, formats] of Object.entries(health?.sources || {})) {
+        for (const [format, entry] of Object.entries(formats)) {
+            const ageHours = entry.lastSuccess ? (now - Date.parse(entry.lastSuccess)) / 3600000 : null;
+            const stale = ageHours === null || ageHours >= STALE_AFTER_HOURS;
+            if (entry.status === 'ok' && !stale) {
+                continue;
+            }
+
+            const actions = { ...DEFAULT_ACTIONS, ...adapters[source]?.health?.actions };
+            issues.push({
+                source,
+                format,
+                status: entry.status,
+                consecutiveFailures: entry.consecutiveFailures,
+                lastSuccess: entry.lastSuccess,
+                staleHours: stale ? (ageHours === null ? null : Math.floor(ageHours)) : undefined,
+                error: entry.status === 'ok' ? null : entry.lastError?.message || null,
+                action: entry.status === 'ok'
+                    ? 'No fetch has recorded health since; check the scheduled workflow is running'
+                    : (actions[entry.status] || actions.failed).replace(/\{source\}/g, source)
+            });
+        }
+    }
+
+    // Credential problems first: they never fix themselves
+    const order = status => (status === 'expired_credentials' ? 0 : HEALTH_STATUSES.indexOf(status) + 1);
+    return issues.sort((a, b) => order(a.status) - order(b.status) || b.consecutiveFailures - a.consecutiveFailures);
+}
+
+module.exports = {
+    HEALTH_STATUSES,
+    STALE_AFTER_HOURS,
+    SourceError,
+    classifyError,
+    loadHealth,
+    updateHealth,
+    summarizeHealth
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { getDataPaths } = require('./paths');
+const { writeJsonAtomic } = require('./storage');
+
+// Defaults for every source; override per client or per request
+const DEFAULT_HTTP_OPTIONS = {
+    retries: 3,                 // Extra attempts after the first on network errors, 429 and 5xx
+    backoffMs: 1000,            // First retry delay, doubled on each attempt (plus jitter)
+    maxBackoffMs: 30000,        // Upper bound for one retry delay (also caps Retry-After)
+    timeoutMs: 30000,           // Whole request including reading the body
+    minIntervalMs: 1000,        // Minimum spacing between requests to the same host
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+};
+
+// live: normal requests; record: live requests saved as fixtures; replay: fixtures only, no network
+const HTTP_MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'http');
+
+class HttpError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Default fixture name for a request: host plus a hash of the full URL
+ * Callers should pass a readable name (e.g. "ktc/dynasty_1qb") instead where they can
+ */
+function defaultFixtureName(method, url) {
+    const { host } = new URL(url);
+    const hash = crypto.createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 12);
+    return `${host.replace(/:/g, '_')}/${hash}`;
+}
+
+/**
+ * Wrap a finished exchange in the response object callers use
+ * Bodies are always read up front so timeouts cover the download too
+ */
+function buildResponse({ url, status, headers, body, client, fixture, fromFixture }) {
+    return {
+        url,
+        status,
+        ok: status >= 200 && status < 300,
+        notModified: status === 304,
+        headers,
+        body,
+        fromFixture,
+        text: () => body,
+        json: () => JSON.parse(body),
+        // Call once the response has been processed successfully, so a failed parse
+        // is retried in full next time instead of getting a 304
+        rememberValidators: () => client.rememberValidators(fixture, headers)
+    };
+}
+
+/**
+ * Create an HTTP client shared by all sources in a run
+ * @param {Object} [options] - Overrides for DEFAULT_HTTP_OPTIONS plus:
+ * @param {string} [options.mode] - live, record or replay (default: HTTP_MODE env or live)
+ * @param {string} [options.fixturesDir] - Where fixtures are recorded/replayed (default: HTTP_FIXTURES_DIR env or fixtures/http)
+ * @param {string} [options.cacheFile] - ETag/Last-Modified store (default: data/status/http-cache.json)
+ * @returns {Object} Client with fetch()
+ */
+function createHttpClient(options = {}) {
+    const settings = { ...DEFAULT_HTTP_OPTIONS, ...options };
+    const mode = options.mode || process.env.HTTP_MODE || 'live';
+    const fixturesDir = options.fixturesDir || process.env.HTTP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    const cacheFile = options.cacheFile || path.join(getDataPaths().status, 'http-cache.json');
+
+    if (!HTTP_MODES.includes(mode)) {
+        throw new Error(`Unknown HTTP mode "${mode}" (expected ${HTTP_MODES.join(', ')})`);
+    }
+
+    const nextSlot = new Map();
+    let validators = null;
+
+    function loadValidators() {
+        if (!validators) {
+            validators = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : {};
+        }
+        return validators;
+    }
+
+    /**
+     * Reserve the next request slot for a host and wait for it
+     */
+    async function waitForHost(host) {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot.get(host) || 0);
+        nextSlot.set(host, slot + settings.minIntervalMs);
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    }
+
+    /**
+     * One live attempt with a timeout covering headers and body
+     */
+    async function attempt(url, init) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            const body = await response.text();
+            const headers = {};
+            response.headers.forEach((value, name) => {
+                headers[name] = value;
+            });
+            return { status: response.status, headers, body };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`timed out after ${settings.timeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    function retryDelay(attemptNumber, headers) {
+        // Retry-After is either a number of seconds or an HTTP date
+        const retryAfter = headers?.['retry-after']?.trim();
+        if (/^\d+$/.test(retryAfter)) {
+            return Math.min(Number(retryAfter) * 1000, settings.maxBackoffMs);
+        }
+        const retryAt = Date.parse(retryAfter);
+        if (!isNaN(retryAt)) {
+            return Math.min(Math.max(retryAt - Date.now(), 0), settings.maxBackoffMs);
+        }
+        const base = settings.backoffMs * 2 ** attemptNumber;
+        return Math.min(base + Math.random() * settings.backoffMs, settings.maxBackoffMs);
+    }
+
+    /**
+     * Live request with rate limiting, retries and backoff
+     */
+    async function fetchLive(url, init, label) {
+        const { host } = new URL(url);
+
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            await waitForHost(host);
+
+            let exchange = null;
+            let reason;
+            try {
+                exchange = await attempt(url, init);
+                if (!isRetryableStatus(exchange.status)) {
+                    return exchange;
+                }
+                reason = `HTTP ${exchange.status}`;
+            } catch (error) {
+                reason = error.message;
+            }
+
+            if (attemptNumber >= settings.retries) {
+                if (exchange) {
+                    return exchange;
+                }
+                throw new Error(`Request for ${label} failed after ${attemptNumber + 1} attempts: ${reason}`);
+            }
+
+            const delay = retryDelay(attemptNumber, exchange?.headers);
+            console.warn(`  Retrying ${label} in ${Math.round(delay)}ms (${reason}, attempt ${attemptNumber + 2}/${settings.retries + 1})`);
+            await sleep(delay);
+        }
+    }
+
+    function fixturePath(name) {
+        return path.join(fixturesDir, `${name}.json`);
+    }
+
+    /**
+     * Fetch a URL
+     * @param {string} url - URL to fetch
+     * @param {Object} [request] - Request options
+     * @param {Object} [request.headers] - Extra headers (User-Agent is added)
+     * @param {boolean} [request.conditional] - Send stored ETag/Last-Modified validators
+     * @param {string} [request.fixture] - Fixture name for record/replay (e.g. "ktc/dynasty_1qb")
+     * @param {boolean} [request.redactUrl] - Keep the URL out of logs and fixtures (it holds credentials)
+     * @returns {Promise<Object>} Response with status, ok, notModified, headers, text(), json()
+     */
+    async function fetchUrl(url, request = {}) {
+        const method = 'GET';
+        const fixture = request.fixture || defaultFixtureName(method, url);
+        const label = request.redactUrl ? fixture : url;
+
+        if (mode === 'replay') {
+            const file = fixturePath(fixture);
+            if (!fs.existsSync(file)) {
+                throw new Error(`No recorded response for ${fixture} in ${fixturesDir}`);
+            }
+            const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return buildResponse({ url, ...recorded.response, client, fixture, fromFixture: true });
+        }
+
+        const headers = {
+            'User-Agent': settings.userAgent,
+            'Cache-Control': 'no-cache',
+            ...request.headers
+        };
+
+        // Recordings always capture full bodies, so replays never see a bare 304
+        if (request.conditional && mode !== 'record') {
+            const stored = loadValidators()[fixture];
+            if (stored?.etag) {
+                headers['If-None-Match'] = stored.etag;
+            }
+            if (stored?.lastModified) {
+                headers['If-Modified-Since'] = stored.lastModified;
+            }
+        }
+
+        const exchange = await fetchLive(url, { method, headers }, label);
+
+        if (mode === 'record') {
+            const file = fixturePath(fixture);
+            writeJsonAtomic(file, {
+                recordedAt: new Date().toISOString(),
+                request: { method, url: request.redactUrl ? null : url },
+                response: exchange
+            });
+            console.log(`  Recorded ${fixture}`);
+        }
+
+        return buildResponse({ url, ...exchange, client, fixture, fromFixture: false });
+    }
+
+    const client = {
+        mode,
+        fixturesDir,
+        fetch: fetchUrl,
+
+        /**
+         * Store a response's ETag/Last-Modified for the next conditional request
+         * Keyed by fixture name so credential-bearing URLs never reach the committed cache file
+         */
+        rememberValidators(fixture, headers) {
+            if (mode === 'replay' || (!headers.etag && !headers['last-modified'])) {
+                return;
+            }
+
+            const store = loadValidators();
+            store[fixture] = {
+                etag: headers.etag || null,
+                lastModified: headers['last-modified'] || null,
+                storedAt: new Date().toISOString()
+            };
+
+            writeJsonAtomic(cacheFile, store);
+        }
+    };
+
+    return client;
+}
+
+/**
+ * Throw an HttpError for a non-2xx response
+ * @param {Object} response - Response from client.fetch
+ * @returns {Object} The same response when it is ok
+ */
+function assertOk(response) {
+    if (!response.ok && !response.notModified) {
+        throw new HttpError(`HTTP error! status: ${response.status}`, response.status);
+    }
+    return response;
+}
+
+module.exports = {
+    DEFAULT_HTTP_OPTIONS,
+    HTTP_MODES,
+    HttpError,
+    createHttpClient,
+    assertOk
+};
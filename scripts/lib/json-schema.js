@@ -0,0 +1,96 @@
+/**
+ * Minimal JSON Schema validator for the processed-file schemas in schemas/
+ * Supports the draft-07 keywords those schemas use: type, const, enum, required,
+ * properties, additionalProperties, items, minItems, minimum, maximum, minLength, pattern
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} JSON Schema type
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [at] - JSON path of the value (for error messages)
+ * @param {Array} [errors] - Accumulated errors
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validate(value, schema, at = '$', errors = []) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: ${value} is below minimum ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: ${value} is above maximum ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: string shorter than ${schema.minLength}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: expected at least ${schema.minItems} items, got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validate(item, schema.items, `${at}[${i}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${at}: missing required property "${key}"`);
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                validate(child, properties[key], `${at}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}: unexpected property "${key}"`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+// League settings every source publishes; LEAGUE_SETTINGS_FILE points at another file
+const SETTINGS_FILE = path.join(__dirname, '..', '..', 'config', 'league-settings.json');
+
+// Settings a format key leaves out; anything else is spelled out in the key ("_10team", "_halfppr", "_tep0.5")
+const BASELINE = {
+    teams: 12,
+    ppr: 1,
+    tePremium: 0
+};
+
+const SETTING_RULES = {
+    type: value => ['dynasty', 'redraft'].includes(value),
+    qbs: value => [1, 2].includes(value),
+    teams: value => Number.isInteger(value) && value >= 4 && value <= 32,
+    ppr: value => [0, 0.5, 1].includes(value),
+    tePremium: value => typeof value === 'number' && value >= 0 && value <= 2
+};
+
+let cache = null;
+
+/**
+ * Check one expanded league against the allowed values
+ * @param {Object} settings - { type, qbs, teams, ppr, tePremium }
+ * @param {string} file - Settings file, for the error message
+ */
+function validateSettings(settings, file) {
+    const problems = Object.entries(SETTING_RULES)
+        .filter(([key, valid]) => !valid(settings[key]))
+        .map(([key]) => `${key}=${JSON.stringify(settings[key])}`);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid league settings in ${file}: ${problems.join(', ')}`);
+    }
+}
+
+/**
+ * Expand a settings file into individual leagues
+ * Every combination of the matrix values is a league; "include" adds one-off leagues,
+ * with missing settings taken from the baseline
+ * @param {Object} config - { matrix: { setting: [values] }, include: [settings] }
+ * @param {string} [file] - Settings file, for error messages
+ * @returns {Array} [{ type, qbs, teams, ppr, tePremium }] without duplicates
+ */
+function expandLeagueSettings(config, file = 'league settings') {
+    let combos = [{}];
+    for (const [key, values] of Object.entries(config.matrix || {})) {
+        const list = Array.isArray(values) ? values : [values];
+        combos = combos.flatMap(combo => list.map(value => ({ ...combo, [key]: value })));
+    }
+
+    const leagues = [];
+    const seen = new Set();
+
+    for (const entry of [...(config.matrix ? combos : []), ...(config.include || [])]) {
+        const settings = { ...BASELINE, ...entry };
+        validateSettings(settings, file);
+
+        const key = formatKey(settings);
+        if (!seen.has(key)) {
+            seen.add(key);
+            leagues.push(settings);
+        }
+    }
+
+    return leagues;
+}
+
+/**
+ * Load and expand the league settings file (cached per process)
+ * @returns {Array} Expanded leagues
+ */
+function loadLeagueSettings() {
+    if (!cache) {
+        const file = process.env.LEAGUE_SETTINGS_FILE || SETTINGS_FILE;
+        cache = expandLeagueSettings(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+    }
+    return cache;
+}
+
+/**
+ * Whether a league only differs from the baseline in type and QB count
+ */
+function isBaseline(settings) {
+    return Object.entries(BASELINE).every(([key, value]) => settings[key] === value);
+}
+
+/**
+ * Key suffix for the settings that differ from the baseline
+ * @param {Object} settings - League settings
+ * @returns {string} "" for the baseline, otherwise e.g. "_10team_halfppr_tep0.5"
+ */
+function settingsSuffix(settings) {
+    const parts = [];
+    if (settings.teams !== BASELINE.teams) {
+        parts.push(`${settings.teams}team`);
+    }
+    if (settings.ppr !== BASELINE.ppr) {
+        parts.push(settings.ppr === 0 ? 'standard' : 'halfppr');
+    }
+    if (settings.tePremium !== BASELINE.tePremium) {
+        parts.push(`tep${settings.tePremium}`);
+    }
+    return parts.map(part => `_${part}`).join('');
+}
+
+/**
+ * Format key for a league ("dynasty_superflex", "dynasty_superflex_10team")
+ * @param {Object} settings - League settings
+ * @param {string} [twoQbLabel] - How the source names 2-QB formats (Fantasy Calc uses "2qb")
+ * @returns {string} Format key
+ */
+function formatKey(settings, twoQbLabel = 'superflex') {
+    return `${settings.type}_${settings.qbs === 2 ? twoQbLabel : '1qb'}${settingsSuffix(settings)}`;
+}
+
+/**
+ * Display name for a league ("Dynasty Superflex (10 teams, Half PPR)")
+ * @param {Object} settings - League settings
+ * @param {string} [twoQbName] - How the source names 2-QB formats
+ * @returns {string} Format name
+ */
+function formatName(settings, twoQbName = 'Superflex') {
+    const base = `${settings.type === 'dynasty' ? 'Dynasty' : 'Redraft'} ${settings.qbs === 2 ? twoQbName : '1QB'}`;
+    const details = [];
+    if (settings.teams !== BASELINE.teams) {
+        details.push(`${settings.teams} teams`);
+    }
+    if (settings.ppr !== BASELINE.ppr) {
+        details.push(settings.ppr === 0 ? 'Standard' : 'Half PPR');
+    }
+    if (settings.tePremium !== BASELINE.tePremium) {
+        details.push(`TE+${settings.tePremium}`);
+    }
+    return details.length > 0 ? `${base} (${details.join(', ')})` : base;
+}
+
+module.exports = {
+    BASELINE,
+    SETTINGS_FILE,
+    expandLeagueSettings,
+    loadLeagueSettings,
+    isBaseline,
+    settingsSuffix,
+    formatKey,
+    formatName
+};
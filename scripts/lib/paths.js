@@ -0,0 +1,52 @@
+const path = require('path');
+
+// Default data root; the CLI's --out-dir points the whole pipeline somewhere else
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Resolve the standard data locations under a data root
+ * @param {string} [dataDir] - Data root (defaults to the repository's data/ folder)
+ * @returns {Object} Paths for raw, processed, rejected, status and registry files
+ */
+function getDataPaths(dataDir = DATA_DIR) {
+    return {
+        root: dataDir,
+        raw: path.join(dataDir, 'raw'),
+        processed: path.join(dataDir, 'processed'),
+        rejected: path.join(dataDir, 'rejected'),
+        status: path.join(dataDir, 'status'),
+        registry: path.join(dataDir, 'processed', 'players', 'registry.json')
+    };
+}
+
+/**
+ * File name prefix for a source/format's processed rankings
+ * Underdog's original best_ball slate keeps the format-less names it had before other
+ * slates could be configured; every other slate is named like any other feed
+ * @param {string} source - Source key
+ * @param {string} format - Format key
+ * @returns {string} Prefix such as "rankings-dynasty_1qb"
+ */
+function rankingsFileStem(source, format) {
+    return source === 'underdog' && format === 'best_ball' ? 'rankings' : `rankings-${format}`;
+}
+
+/**
+ * Format a date the way snapshot file names carry it (2026-02-07T12-46-13-019Z)
+ * @param {Date} date - Date to format
+ * @returns {string} File-safe timestamp
+ */
+function toFileTimestamp(date) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Turn a file-name timestamp back into an ISO date string
+ * @param {string} stamp - File-safe timestamp (2026-02-07T12-46-13-019Z)
+ * @returns {string} ISO date string (2026-02-07T12:46:13.019Z)
+ */
+function fromFileTimestamp(stamp) {
+    return stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
+module.exports = { DATA_DIR, getDataPaths, rankingsFileStem, toFileTimestamp, fromFileTimestamp };
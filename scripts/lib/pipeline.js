@@ -0,0 +1,490 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRegistry, saveRegistry, assignPlayerIds } = require('./player-registry');
+const { SCHEMA_VERSION, assertPublishable, assertValidSnapshot, checkAgainstLatest } = require('./publish-gate');
+const { DATA_DIR, getDataPaths, rankingsFileStem, toFileTimestamp, fromFileTimestamp } = require('./paths');
+const { isLatestSnapshot, reprocessSnapshots, rawSnapshotTimestamp } = require('./raw-archive');
+const { createHttpClient } = require('./http-client');
+const { assignTiers, tierSettingsFor } = require('./tiers');
+const { toCsv } = require('./csv');
+const { classifyError } = require('./health');
+const { writeFileAtomic, writeJsonAtomic, readStored, writeHistory, writeRawArchive, listHistory, listArchive, applyRetention, retentionFor } = require('./storage');
+
+/**
+ * Folder a source archives raw responses for a format in
+ * @param {Object} adapter - Source adapter
+ * @param {string} format - Format key
+ * @param {string} [dataDir] - Data root
+ * @returns {string} Raw archive folder
+ */
+function rawDirFor(adapter, format, dataDir = DATA_DIR) {
+    const sourceDir = path.join(getDataPaths(dataDir).raw, adapter.id);
+    return adapter.raw.perFormat ? path.join(sourceDir, format) : sourceDir;
+}
+
+/**
+ * Name prefix of a format's archived raw responses
+ * Sources that keep several feeds in one folder (Underdog slates) give raw.prefix as a function of the format
+ * @param {Object} adapter - Source adapter
+ * @param {string} format - Format key
+ * @returns {string} Prefix before the timestamp ("page-", "underdog-post_draft-")
+ */
+function rawPrefixFor(adapter, format) {
+    return typeof adapter.raw.prefix === 'function' ? adapter.raw.prefix(format) : adapter.raw.prefix;
+}
+
+/**
+ * Archive a raw response exactly as received (gzipped), unless it is byte-identical to the
+ * previous one, then apply the source's retention rules to the archive
+ * @param {Object} adapter - Source adapter
+ * @param {string} format - Format key
+ * @param {string} raw - Raw response body
+ * @param {Object} options - { dataDir, timestamp }
+ */
+function writeRawSnapshot(adapter, format, raw, options) {
+    const { dataDir = DATA_DIR, timestamp } = options;
+    const rawDir = rawDirFor(adapter, format, dataDir);
+    const prefix = rawPrefixFor(adapter, format);
+    const { extension } = adapter.raw;
+
+    const { file, written } = writeRawArchive(rawDir, prefix, extension, timestamp, raw);
+    console.log(written ? `  Saved raw response to ${file}` : `  Raw response unchanged since ${path.basename(file)}, not archived again`);
+
+    const expired = applyRetention(listArchive(rawDir, prefix, extension), retentionFor(adapter.id));
+    if (expired.length > 0) {
+        console.log(`  Removed ${expired.length} expired raw snapshot(s)`);
+    }
+}
+
+/**
+ * Path of a source/format's latest processed JSON file
+ */
+function latestPathFor(source, format, dataDir = DATA_DIR) {
+    return path.join(getDataPaths(dataDir).processed, source, `${rankingsFileStem(source, format)}-latest.json`);
+}
+
+/**
+ * Wrap parsed players in the standard processed-file envelope
+ * Generated tiers are added to every player (see lib/tiers.js)
+ * @param {Object} adapter - Source adapter
+ * @param {Object} config - Format configuration
+ * @param {Array} players - Output of adapter.parse
+ * @param {string} timestamp - File-safe capture time of the raw response
+ * @returns {Object} Rankings data
+ */
+function buildSnapshot(adapter, config, players, timestamp) {
+    const fields = adapter.snapshotFields
+        ? adapter.snapshotFields(config)
+        : { format: config.format, formatName: config.name, ...(config.settings && { leagueSettings: config.settings }) };
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        lastUpdated: fromFileTimestamp(timestamp),
+        source: adapter.id,
+        ...fields,
+        tiering: assignTiers(players, adapter.tierMetric || adapter.metric || 'value', tierSettingsFor(adapter.id)),
+        totalPlayers: players.length,
+        players: players
+    };
+}
+
+/**
+ * Create the latest CSV: the shared leading columns, the adapter's own columns,
+ * the generated tiers, then DcId
+ * Datasets besides the rankings (data.dataset) list every column themselves
+ * @param {Object} data - Rankings data
+ * @param {Array|Function} columns - [{ header, value(player) }], or a function of data returning them
+ * @returns {string} CSV content
+ */
+function createCsv(data, columns = []) {
+    const extra = typeof columns === 'function' ? columns(data) : columns;
+    if (data.dataset) {
+        return toCsv(extra, data[data.dataset]);
+    }
+
+    return toCsv([
+        { header: 'Rank', value: p => p.rank },
+        { header: 'Player', value: p => p.name },
+        { header: 'Position', value: p => p.position },
+        { header: 'Team', value: p => p.team },
+        ...extra,
+        { header: 'AutoTier', value: p => p.autoTier },
+        { header: 'AutoPositionTier', value: p => p.autoPositionTier },
+        { header: 'DcId', value: p => p.dcId }
+    ], data.players);
+}
+
+/**
+ * Save rankings data to files
+ * Snapshots older than the current latest file (replayed raw responses) only go into history.
+ * History is gzipped, skips unchanged snapshots and follows the source's retention rules (lib/storage.js)
+ * @param {Object} adapter - Source adapter (or any { id, raw, csvColumns } descriptor)
+ * @param {string} format - Format key
+ * @param {Object} data - Rankings data
+ * @param {Object} options - { dataDir, timestamp, raw } (raw is archived when given)
+ */
+function saveSnapshot(adapter, format, data, options) {
+    const { dataDir = DATA_DIR, timestamp, raw } = options;
+    const paths = getDataPaths(dataDir);
+    const processedDir = path.join(paths.processed, adapter.id);
+    const stem = rankingsFileStem(adapter.id, format);
+
+    // Archive the raw response before the gate so rejected snapshots can be reprocessed later
+    if (raw !== undefined) {
+        writeRawSnapshot(adapter, format, raw, { dataDir, timestamp });
+    }
+
+    const jsonPath = path.join(processedDir, `${stem}-latest.json`);
+    const replaceLatest = isLatestSnapshot(data, jsonPath);
+
+    // Refuse to replace the latest file with a broken snapshot
+    if (replaceLatest) {
+        assertPublishable(data, jsonPath, paths.rejected);
+    } else {
+        assertValidSnapshot(data);
+    }
+
+    // Gzipped history, skipped when only the capture time changed
+    const history = writeHistory(processedDir, stem, timestamp, data);
+    if (!history.written) {
+        console.log(`  Unchanged since ${path.basename(history.file)}, history not written`);
+    }
+
+    if (replaceLatest) {
+        writeJsonAtomic(jsonPath, data);
+        console.log(`  Saved JSON to ${jsonPath}`);
+
+        const csvPath = path.join(processedDir, `${stem}-latest.csv`);
+        writeFileAtomic(csvPath, createCsv(data, adapter.csvColumns));
+        console.log(`  Saved CSV to ${csvPath}`);
+    } else if (history.written) {
+        console.log(`  Older than the latest file, saved history only: ${history.file}`);
+    }
+
+    const expired = applyRetention(listHistory(processedDir, stem), retentionFor(adapter.id));
+    expired.forEach(entry => console.log(`  Removed expired snapshot: ${path.basename(entry.file)}`));
+}
+
+/**
+ * File key of a dataset published next to a format's rankings ("picks-dynasty_1qb",
+ * so the files are rankings-picks-dynasty_1qb-*)
+ */
+function datasetFormat(name, format) {
+    return `${name}-${format}`;
+}
+
+/**
+ * Publish the extra datasets an adapter parses from the same raw response (adapter.datasets)
+ * Each one goes through the publish gate and history rules like the rankings
+ * @param {Object} adapter - Source adapter
+ * @param {string} raw - Raw response body
+ * @param {Object} config - Format configuration
+ * @param {Object} options - { dryRun, dataDir, timestamp }
+ * @returns {string[]} One error per dataset that failed
+ */
+function publishDatasets(adapter, raw, config, options) {
+    const { dryRun, dataDir, timestamp } = options;
+    const errors = [];
+
+    for (const [name, dataset] of Object.entries(adapter.datasets || {})) {
+        if (dataset.appliesTo && !dataset.appliesTo(config)) {
+            continue;
+        }
+
+        const format = datasetFormat(name, config.format);
+        try {
+            const entries = dataset.parse(raw, config);
+            console.log(`  Parsed ${entries.length} ${name}`);
+
+            const data = {
+                schemaVersion: SCHEMA_VERSION,
+                lastUpdated: fromFileTimestamp(timestamp),
+                source: adapter.id,
+                dataset: name,
+                format: config.format,
+                formatName: config.name,
+                [`total${name[0].toUpperCase()}${name.slice(1)}`]: entries.length,
+                [name]: entries
+            };
+
+            if (dryRun) {
+                const check = checkAgainstLatest(data, latestPathFor(adapter.id, format, dataDir));
+                if (!check.passed) {
+                    errors.push(`${name}: ${check.errors.join(' | ')}`);
+                }
+            } else {
+                saveSnapshot({ id: adapter.id, csvColumns: dataset.csvColumns }, format, data, { dataDir, timestamp });
+            }
+        } catch (error) {
+            console.error(`  Failed to publish ${name}:`, error.message);
+            errors.push(`${name}: ${error.message}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse a raw response and publish it (or gate-check it on a dry run)
+ * Datasets the adapter parses from the same response are published after the rankings;
+ * a failed dataset fails the format, but the rankings it already published stay
+ * @param {Object} adapter - Source adapter
+ * @param {string} raw - Raw response body
+ * @param {Object} config - Format configuration
+ * @param {Object} options - { registry, dryRun, dataDir, timestamp, archiveRaw }
+ * @returns {Object} Result for the run report
+ */
+function processRaw(adapter, raw, config, options) {
+    const { registry, dryRun = false, dataDir = DATA_DIR, timestamp, archiveRaw = true } = options;
+
+    const players = adapter.parse(raw, config);
+    console.log(`  Parsed ${players.length} players`);
+
+    const data = buildSnapshot(adapter, config, players, timestamp);
+    assignPlayerIds(registry, data.players, p => adapter.playerIds(p, config));
+
+    if (dryRun) {
+        const check = checkAgainstLatest(data, latestPathFor(adapter.id, config.format, dataDir));
+        const errors = [...check.errors, ...publishDatasets(adapter, raw, config, { dryRun, dataDir, timestamp })];
+        return {
+            success: errors.length === 0,
+            players: data.totalPlayers,
+            dryRun: true,
+            error: errors.length === 0 ? undefined : errors.join(' | ')
+        };
+    }
+
+    saveSnapshot(adapter, config.format, data, { dataDir, timestamp, raw: archiveRaw ? raw : undefined });
+
+    const errors = publishDatasets(adapter, raw, config, { dryRun, dataDir, timestamp });
+    return {
+        success: errors.length === 0,
+        players: data.totalPlayers,
+        error: errors.length === 0 ? undefined : errors.join(' | '),
+        // The rankings went out, only a dataset didn't
+        health: errors.length === 0 ? undefined : 'partial'
+    };
+}
+
+/**
+ * Print the per-format summary at the end of a run
+ */
+function printResults(title, adapter, results) {
+    console.log(`=== ${title} ===`);
+    console.log('Results:');
+    for (const [key, result] of Object.entries(results)) {
+        const status = result.success ? '✓' : '✗';
+        const details = result.unchanged ? 'not modified' : result.success ? `${result.players} players` : result.error;
+        console.log(`  ${status} ${adapter.formats[key]?.name || key}: ${details}`);
+    }
+}
+
+/**
+ * Fetch once for a source whose single raw response covers every format (raw.shared),
+ * archive it once, then publish each format from it
+ * @param {Object} adapter - Source adapter
+ * @param {string[]} formats - Format keys to publish
+ * @param {Object} options - { http, registry, dryRun, dataDir }
+ * @returns {Object} Results keyed by format
+ */
+async function fetchShared(adapter, formats, options) {
+    const { http, registry, dryRun, dataDir } = options;
+    const results = {};
+
+    console.log(`Fetching ${adapter.name} data...`);
+    let response;
+    try {
+        // A 304 is only usable when every format has a latest file to keep
+        const conditional = !dryRun && formats.every(key => fs.existsSync(latestPathFor(adapter.id, key, dataDir)));
+        response = await adapter.fetchRaw(null, { http, conditional });
+    } catch (error) {
+        console.error(`Failed to fetch ${adapter.name}:`, error.message);
+        return Object.fromEntries(formats.map(key => [key, { success: false, error: error.message, health: classifyError(error) }]));
+    }
+
+    if (response.notModified) {
+        console.log('  Not modified since last fetch, keeping latest files\n');
+        return Object.fromEntries(formats.map(key => [key, { success: true, unchanged: true }]));
+    }
+
+    const raw = response.text();
+    const timestamp = toFileTimestamp(new Date());
+    if (!dryRun) {
+        writeRawSnapshot(adapter, null, raw, { dataDir, timestamp });
+    }
+
+    for (const key of formats) {
+        const config = adapter.formats[key];
+        console.log(`Publishing ${config.name} rankings...`);
+        try {
+            results[key] = processRaw(adapter, raw, config, { registry, dryRun, dataDir, timestamp, archiveRaw: false });
+        } catch (error) {
+            console.error(`Failed to publish ${config.name}:`, error.message);
+            results[key] = { success: false, error: error.message, health: classifyError(error) };
+        }
+        console.log('');
+    }
+
+    // Validators are only kept when every format published, so a failed format is fetched in full next time
+    if (!dryRun && Object.values(results).every(r => r.success)) {
+        response.rememberValidators();
+    }
+
+    return results;
+}
+
+/**
+ * Fetch and publish rankings for a source
+ * @param {Object} adapter - Source adapter
+ * @param {Object} [options] - Run options
+ * @param {string[]} [options.formats] - Format keys to fetch (defaults to all)
+ * @param {boolean} [options.dryRun] - Fetch, parse and check without writing anything
+ * @param {string} [options.dataDir] - Data root to write into
+ * @param {Object} [options.http] - Shared HTTP client (one is created when omitted)
+ * @param {Object} [options.registry] - Shared player registry; the caller saves it (loaded and saved here when omitted)
+ * @returns {Object} Results keyed by format
+ */
+async function fetchSource(adapter, options = {}) {
+    const { formats = Object.keys(adapter.formats), dryRun = false, dataDir = DATA_DIR } = options;
+    const paths = getDataPaths(dataDir);
+    const http = options.http || createHttpClient({ cacheFile: path.join(paths.status, 'http-cache.json') });
+    const registry = options.registry || loadRegistry(paths.registry);
+
+    console.log(`=== Fetching ${adapter.name} Rankings${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    const results = adapter.raw.shared
+        ? await fetchShared(adapter, formats, { http, registry, dryRun, dataDir })
+        : {};
+
+    for (const key of adapter.raw.shared ? [] : formats) {
+        const config = adapter.formats[key];
+
+        if (!adapter.fetchRaw) {
+            results[key] = { success: false, error: `${adapter.name} has no fetcher; use reprocess on saved files` };
+            continue;
+        }
+
+        console.log(`Fetching ${config.name} rankings...`);
+        try {
+            // Only ask for a 304 when there is a latest file to fall back on
+            const conditional = !dryRun && fs.existsSync(latestPathFor(adapter.id, key, dataDir));
+            const response = await adapter.fetchRaw(config, { http, conditional });
+
+            if (response.notModified) {
+                console.log('  Not modified since last fetch, keeping latest file');
+                results[key] = { success: true, unchanged: true };
+                console.log('');
+                continue;
+            }
+
+            results[key] = processRaw(adapter, response.text(), config, {
+                registry,
+                dryRun,
+                dataDir,
+                timestamp: toFileTimestamp(new Date())
+            });
+
+            if (!dryRun) {
+                response.rememberValidators();
+            }
+        } catch (error) {
+            console.error(`Failed to fetch ${config.name}:`, error.message);
+            results[key] = {
+                success: false,
+                error: error.message,
+                health: classifyError(error)
+            };
+        }
+        console.log('');
+    }
+
+    if (!dryRun && !options.registry) {
+        saveRegistry(registry, paths.registry);
+    }
+
+    printResults(`${adapter.name} Rankings Fetch Complete`, adapter, results);
+
+    return results;
+}
+
+/**
+ * Rebuild processed files for a source from its archived raw responses
+ * @param {Object} adapter - Source adapter
+ * @param {Object} [options] - Run options
+ * @param {string[]} [options.formats] - Format keys to reprocess (defaults to all)
+ * @param {string} [options.file] - One raw response to replay (the format comes from its folder or file name)
+ * @param {boolean} [options.all] - Replay every archived response, oldest first, instead of the newest
+ * @param {boolean} [options.dryRun] - Parse and check without writing anything
+ * @param {string} [options.dataDir] - Data root to write into
+ * @param {string} [options.inputDir] - Data root to read raw responses from (defaults to dataDir)
+ * @param {Object} [options.registry] - Shared player registry; the caller saves it (loaded and saved here when omitted)
+ * @returns {Object} Results keyed by format
+ */
+function reprocessSource(adapter, options = {}) {
+    const { dryRun = false, dataDir = DATA_DIR, inputDir = dataDir, file, all = false } = options;
+    const paths = getDataPaths(dataDir);
+    let formats = file && adapter.raw.perFormat
+        ? [path.basename(path.dirname(file))]
+        : (options.formats || Object.keys(adapter.formats));
+    if (file && typeof adapter.raw.prefix === 'function') {
+        // Feeds sharing a folder are told apart by the file name; a name matching none is reported per format
+        const matching = formats.filter(key => rawSnapshotTimestamp(file, rawPrefixFor(adapter, key), adapter.raw.extension));
+        formats = matching.length > 0 ? matching : formats;
+    }
+    const registry = options.registry || loadRegistry(paths.registry);
+
+    console.log(`=== Reprocessing ${adapter.name} Rankings${dryRun ? ' (dry run)' : ''} ===\n`);
+
+    const results = {};
+
+    for (const key of formats) {
+        const config = adapter.formats[key];
+        if (!config) {
+            results[key] = { success: false, error: `${file} is not in a ${adapter.name} format folder` };
+            continue;
+        }
+
+        // Keep the capture time of each raw file so history stays in order
+        const rawDir = rawDirFor(adapter, key, inputDir);
+        results[key] = reprocessSnapshots(rawDir, rawPrefixFor(adapter, key), adapter.raw.extension, snapshot => {
+            const raw = readStored(snapshot.file);
+
+            if (adapter.canReplay && !adapter.canReplay(raw)) {
+                console.log(`Skipping ${snapshot.file} (not a raw response)`);
+                return { skipped: true };
+            }
+
+            console.log(`Reprocessing ${snapshot.file}...`);
+            return processRaw(adapter, raw, config, {
+                registry,
+                dryRun,
+                dataDir,
+                timestamp: snapshot.timestamp,
+                archiveRaw: false
+            });
+        }, { file, all });
+        console.log('');
+    }
+
+    if (!dryRun && !options.registry) {
+        saveRegistry(registry, paths.registry);
+    }
+
+    printResults(`${adapter.name} Reprocess Complete`, adapter, results);
+
+    return results;
+}
+
+module.exports = {
+    buildSnapshot,
+    createCsv,
+    saveSnapshot,
+    datasetFormat,
+    processRaw,
+    fetchSource,
+    reprocessSource,
+    writeRawSnapshot,
+    rawDirFor,
+    rawPrefixFor,
+    latestPathFor
+};
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const { getDataPaths } = require('./paths');
+const { writeJsonAtomic } = require('./storage');
+
+// Canonical player registry shared by every source
+const REGISTRY_PATH = getDataPaths().registry;
+const REGISTRY_VERSION = 1;
+
+// Generational suffixes dropped before matching ("Marvin Harrison Jr." === "Marvin Harrison Jr")
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'v'];
+
+/**
+ * Build the matching key for a player name
+ * Strips accents, suffixes and punctuation so "D.J. Moore", "DJ Moore"
+ * and "D. J. Moore" all collapse to the same key
+ * @param {string} name - Display name from any source
+ * @returns {string} Normalized name key
+ */
+function normalizeName(name) {
+    if (!name) {
+        return '';
+    }
+
+    const tokens = name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[.,']/g, ' ')
+        .split(/[\s-]+/)
+        .filter(Boolean);
+
+    // Only drop a suffix when something is left in front of it
+    while (tokens.length > 2 && NAME_SUFFIXES.includes(tokens[tokens.length - 1])) {
+        tokens.pop();
+    }
+
+    return tokens.join('').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Look players up by dcId, falling back to name and position for files without one
+ * @param {Array} players - Players from a processed file
+ * @returns {Map} dcId or name|position -> player
+ */
+function indexPlayers(players) {
+    const index = new Map();
+    for (const p of players) {
+        if (p.dcId) {
+            index.set(p.dcId, p);
+        }
+        index.set(`${normalizeName(p.name)}|${p.position}`, p);
+    }
+    return index;
+}
+
+/**
+ * Find a player in an indexPlayers map, by dcId and then by name and position
+ * @returns {Object|undefined} Player
+ */
+function findIn(index, player) {
+    return (player.dcId && index.get(player.dcId)) || index.get(`${normalizeName(player.name)}|${player.position}`);
+}
+
+/**
+ * Load the registry from disk (or start an empty one)
+ * @param {string} [registryPath] - Override for the registry location
+ * @returns {Object} Registry object
+ */
+function loadRegistry(registryPath = REGISTRY_PATH) {
+    let registry = {
+        version: REGISTRY_VERSION,
+        lastUpdated: null,
+        nextId: 1,
+        players: {}
+    };
+
+    if (fs.existsSync(registryPath)) {
+        registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    }
+
+    buildIndexes(registry);
+    return registry;
+}
+
+/**
+ * Save the registry to disk (indexes are rebuilt on load, not stored)
+ * @param {Object} registry - Registry object
+ * @param {string} [registryPath] - Override for the registry location
+ */
+function saveRegistry(registry, registryPath = REGISTRY_PATH) {
+    const { version, nextId, players } = registry;
+    const output = {
+        version,
+        lastUpdated: new Date().toISOString(),
+        nextId,
+        totalPlayers: Object.keys(players).length,
+        players
+    };
+
+    writeJsonAtomic(registryPath, output);
+}
+
+/**
+ * Build in-memory lookup tables for source IDs and name keys
+ * @param {Object} registry - Registry object (mutated)
+ */
+function buildIndexes(registry) {
+    const bySourceId = new Map();
+    const byName = new Map();
+
+    for (const entry of Object.values(registry.players)) {
+        indexEntry(bySourceId, byName, entry);
+    }
+
+    Object.defineProperty(registry, '_index', {
+        value: { bySourceId, byName },
+        enumerable: false,
+        configurable: true
+    });
+}
+
+/**
+ * Add one registry entry to the lookup tables
+ */
+function indexEntry(bySourceId, byName, entry) {
+    for (const [source, sourceId] of Object.entries(entry.sourceIds)) {
+        bySourceId.set(`${source}:${sourceId}`, entry.id);
+    }
+
+    for (const key of entry.nameKeys) {
+        if (!byName.has(key)) {
+            byName.set(key, new Set());
+        }
+        byName.get(key).add(entry.id);
+    }
+}
+
+/**
+ * Find the registry entry matching a name, preferring the same position
+ * Entries already linked to a different ID from one of the same sources are skipped
+ * @returns {Object|null} Matching registry entry
+ */
+function findByName(registry, sourceIds, key, position) {
+    const ids = registry._index.byName.get(key);
+    if (!ids) {
+        return null;
+    }
+
+    const candidates = [...ids]
+        .map(id => registry.players[id])
+        .filter(entry => Object.entries(sourceIds).every(([source, sourceId]) =>
+            !entry.sourceIds[source] || entry.sourceIds[source] === sourceId
+        ));
+
+    const samePosition = candidates.filter(entry => entry.position === position);
+    if (samePosition.length === 1) {
+        return samePosition[0];
+    }
+
+    // Position changes between sources happen (e.g. Taysom Hill), but only trust a unique match
+    if (samePosition.length === 0 && candidates.length === 1) {
+        return candidates[0];
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a source player to its Draft Compass ID, creating an entry if needed
+ * @param {Object} registry - Registry object (mutated)
+ * @param {Object} player - { sourceIds, name, position, team }
+ * @returns {string} Draft Compass player ID
+ */
+function resolvePlayer(registry, player) {
+    const { bySourceId, byName } = registry._index;
+    const key = normalizeName(player.name);
+
+    // Drop missing IDs and stringify the rest so numeric KTC IDs match stored ones
+    const sourceIds = {};
+    for (const [source, sourceId] of Object.entries(player.sourceIds || {})) {
+        if (sourceId !== null && sourceId !== undefined && sourceId !== '') {
+            sourceIds[source] = String(sourceId);
+        }
+    }
+
+    let entry = null;
+
+    for (const [source, sourceId] of Object.entries(sourceIds)) {
+        const id = bySourceId.get(`${source}:${sourceId}`);
+        if (id) {
+            entry = registry.players[id];
+            break;
+        }
+    }
+
+    if (!entry) {
+        entry = findByName(registry, sourceIds, key, player.position);
+    }
+
+    if (!entry) {
+        const id = `dc-${String(registry.nextId).padStart(5, '0')}`;
+        registry.nextId++;
+
+        entry = {
+            id,
+            name: player.name,
+            position: player.position,
+            team: player.team || null,
+            sourceIds: {},
+            nameKeys: []
+        };
+        registry.players[id] = entry;
+    }
+
+    Object.assign(entry.sourceIds, sourceIds);
+    if (key && !entry.nameKeys.includes(key)) {
+        entry.nameKeys.push(key);
+    }
+    if (player.team && player.team !== 'FA') {
+        entry.team = player.team;
+    }
+
+    indexEntry(bySourceId, byName, entry);
+    return entry.id;
+}
+
+/**
+ * Attach Draft Compass IDs to a list of parsed players
+ * @param {Object} registry - Registry object (mutated)
+ * @param {Array} players - Parsed player objects (mutated with dcId)
+ * @param {Function} getSourceIds - Returns { source: id } for a player, e.g. { ktc: 1414 }
+ * @returns {Array} The same players array
+ */
+function assignPlayerIds(registry, players, getSourceIds) {
+    for (const player of players) {
+        player.dcId = resolvePlayer(registry, {
+            sourceIds: getSourceIds(player),
+            name: player.name,
+            position: player.position,
+            team: player.team
+        });
+    }
+    return players;
+}
+
+module.exports = {
+    REGISTRY_PATH,
+    normalizeName,
+    indexPlayers,
+    findIn,
+    loadRegistry,
+    saveRegistry,
+    resolvePlayer,
+    assignPlayerIds
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./json-schema');
+const { getDataPaths } = require('./paths');
+const { getSource } = require('./sources');
+const { SourceError } = require('./health');
+const { writeJsonAtomic } = require('./storage');
+
+// Version of the processed-file schemas in schemas/ (stamped into every output as schemaVersion)
+const SCHEMA_VERSION = 1;
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schemas');
+const REJECTED_DIR = getDataPaths().rejected;
+
+// Sanity-check thresholds comparing a new snapshot with the current latest file
+const GATE_THRESHOLDS = {
+    maxPlayerDrop: 0.2,         // Reject if the player count falls by more than 20%
+    topPlayers: 50,             // Size of the "top players" set checked for disappearances
+    maxMissingTop: 5,           // Reject if more of the previous top 50 than this vanish
+    maxPositionShift: 0.15,     // Reject if any position's share moves by more than 15 points
+    maxTopValueChange: 0.5      // Reject if the top value moves by more than 50%
+};
+
+const POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+/**
+ * Load the JSON Schema for a source's processed files
+ * @param {string} source - Source key (ktc, fantasycalc, underdog, consensus)
+ * @param {string} [dataset] - Dataset besides the rankings (e.g. "picks" for KTC rookie picks)
+ * @returns {Object} JSON Schema
+ */
+function loadSchema(source, dataset = 'rankings') {
+    const schemaPath = path.join(SCHEMA_DIR, `${source}-${dataset}.v${SCHEMA_VERSION}.json`);
+    return JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+}
+
+/**
+ * Ranked entries of a snapshot: its players, or a dataset's own list (data.picks for "picks")
+ */
+function entriesOf(data) {
+    const entries = data?.dataset ? data[data.dataset] : data?.players;
+    return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Keys a player can be matched on between snapshots
+ * Name keys cover snapshots written before players carried a dcId
+ */
+function playerKeys(p) {
+    const keys = [`${p.name}|${p.position}`];
+    if (p.dcId) {
+        keys.push(p.dcId);
+    }
+    return keys;
+}
+
+function positionShares(players) {
+    const shares = {};
+    for (const position of POSITIONS) {
+        shares[position] = players.filter(p => p.position === position).length / (players.length || 1);
+    }
+    return shares;
+}
+
+/**
+ * Run schema validation and sanity checks on a new snapshot
+ * @param {Object} data - Candidate rankings data
+ * @param {Object|null} previous - Current latest rankings data (null on first publish)
+ * @param {Object} [thresholds] - Overrides for GATE_THRESHOLDS
+ * @returns {Object} { passed, errors, checks }
+ */
+function checkSnapshot(data, previous, thresholds = {}) {
+    const limits = { ...GATE_THRESHOLDS, ...thresholds };
+    const checks = {};
+    const players = entriesOf(data);
+
+    const schemaErrors = validate(data, loadSchema(data.source, data.dataset));
+    checks.schema = {
+        passed: schemaErrors.length === 0,
+        // Long error lists are usually one systematic problem; keep the report readable
+        details: schemaErrors.slice(0, 20)
+    };
+
+    const ranks = players.map(p => p.rank);
+    const duplicates = [...new Set(ranks.filter((r, i) => ranks.indexOf(r) !== i))];
+    checks.duplicateRanks = {
+        passed: duplicates.length === 0,
+        details: duplicates.map(r => `rank ${r} used more than once`)
+    };
+
+    // ADP feeds have no value; each adapter names the number every player must carry
+    const metric = getSource(data.source)?.metric || 'value';
+    const metricValues = players.map(p => p[metric]).filter(v => typeof v === 'number' && isFinite(v));
+    const valueErrors = [];
+    if (metricValues.length < players.length) {
+        valueErrors.push(`${players.length - metricValues.length} players have no numeric ${metric}`);
+    }
+    if (metricValues.length > 0 && metricValues.every(v => v === metricValues[0])) {
+        valueErrors.push(`every player has the same ${metric} (${metricValues[0]})`);
+    }
+    if (previous && metric === 'value' && entriesOf(previous).length && metricValues.length) {
+        const top = Math.max(...metricValues);
+        const previousTop = Math.max(...entriesOf(previous).map(p => p.value || 0));
+        if (previousTop > 0 && Math.abs(top - previousTop) / previousTop > limits.maxTopValueChange) {
+            valueErrors.push(`top value moved from ${previousTop} to ${top}`);
+        }
+    }
+    checks.valueRange = { passed: valueErrors.length === 0, details: valueErrors };
+
+    // Picks have no positions, so only player datasets get the position checks
+    const checkPositions = !data.dataset;
+    const currentShares = positionShares(players);
+    const mixErrors = POSITIONS
+        .filter(position => checkPositions && currentShares[position] === 0)
+        .map(position => `no ${position} players`);
+
+    if (entriesOf(previous).length) {
+        const previousEntries = entriesOf(previous);
+        const previousCount = previousEntries.length;
+        const drop = (previousCount - players.length) / previousCount;
+        checks.playerCount = {
+            passed: drop <= limits.maxPlayerDrop,
+            details: drop > limits.maxPlayerDrop
+                ? [`player count fell from ${previousCount} to ${players.length}`]
+                : []
+        };
+
+        const currentKeys = new Set(players.flatMap(playerKeys));
+        const missing = previousEntries
+            .slice()
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, limits.topPlayers)
+            .filter(p => !playerKeys(p).some(key => currentKeys.has(key)));
+        checks.topPlayers = {
+            passed: missing.length <= limits.maxMissingTop,
+            details: missing.map(p => `missing previous #${p.rank} ${p.name}`)
+        };
+
+        const previousShares = positionShares(previousEntries);
+        for (const position of checkPositions ? POSITIONS : []) {
+            const shift = Math.abs(currentShares[position] - previousShares[position]);
+            if (shift > limits.maxPositionShift) {
+                mixErrors.push(`${position} share moved from ${(previousShares[position] * 100).toFixed(1)}% to ${(currentShares[position] * 100).toFixed(1)}%`);
+            }
+        }
+    }
+    checks.positionMix = { passed: mixErrors.length === 0, details: mixErrors };
+
+    const errors = Object.entries(checks)
+        .filter(([, check]) => !check.passed)
+        .map(([name, check]) => `${name}: ${check.details.slice(0, 3).join('; ') || 'failed'}`);
+
+    return { passed: errors.length === 0, errors, checks };
+}
+
+/**
+ * Write a rejection report for a snapshot that failed the gate
+ * @param {Object} data - Rejected rankings data
+ * @param {Object} result - Output of checkSnapshot
+ * @param {Object|null} previous - Latest data that was kept
+ * @param {string} [rejectedDir] - Root folder for rejection reports
+ * @returns {string} Path of the report
+ */
+function writeRejectionReport(data, result, previous, rejectedDir = REJECTED_DIR) {
+    const dir = path.join(rejectedDir, data.source);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = data.format ? `rejection-${data.format}-${timestamp}.json` : `rejection-${timestamp}.json`;
+    const reportPath = path.join(dir, name);
+
+    const report = {
+        rejectedAt: new Date().toISOString(),
+        source: data.source,
+        format: data.format || null,
+        errors: result.errors,
+        checks: result.checks,
+        candidate: {
+            lastUpdated: data.lastUpdated,
+            totalPlayers: data.totalPlayers ?? data.totalPicks,
+            topPlayers: entriesOf(data).slice(0, 10)
+        },
+        kept: previous ? { lastUpdated: previous.lastUpdated, totalPlayers: previous.totalPlayers ?? previous.totalPicks } : null
+    };
+
+    writeJsonAtomic(reportPath, report);
+    return reportPath;
+}
+
+/**
+ * Check a snapshot against the latest file it would replace, without writing anything
+ * @param {Object} data - Candidate rankings data
+ * @param {string} latestPath - Path of the current latest JSON file
+ * @returns {Object} Output of checkSnapshot plus the previous data
+ */
+function checkAgainstLatest(data, latestPath) {
+    const previous = fs.existsSync(latestPath)
+        ? JSON.parse(fs.readFileSync(latestPath, 'utf8'))
+        : null;
+
+    return { ...checkSnapshot(data, previous), previous };
+}
+
+/**
+ * Gate a snapshot before it replaces the latest file
+ * Throws (leaving the previous latest file untouched) when the snapshot fails;
+ * set PUBLISH_GATE_FORCE=1 to publish anyway after an intentional format change
+ * @param {Object} data - Candidate rankings data
+ * @param {string} latestPath - Path of the current latest JSON file
+ * @param {string} [rejectedDir] - Root folder for rejection reports
+ * @returns {Object} Output of checkSnapshot
+ */
+function assertPublishable(data, latestPath, rejectedDir = REJECTED_DIR) {
+    const { previous, ...result } = checkAgainstLatest(data, latestPath);
+
+    if (!result.passed) {
+        if (process.env.PUBLISH_GATE_FORCE === '1') {
+            console.warn(`  Publish gate failed but PUBLISH_GATE_FORCE is set: ${result.errors.join(' | ')}`);
+            return result;
+        }
+
+        const reportPath = writeRejectionReport(data, result, previous, rejectedDir);
+        console.error(`  Rejected snapshot, kept previous latest file. Report: ${reportPath}`);
+        throw new SourceError(`Snapshot rejected by publish gate: ${result.errors.join(' | ')}`, 'partial');
+    }
+
+    return result;
+}
+
+/**
+ * Check a snapshot on its own, without comparing it to the latest file
+ * Used for older snapshots replayed into history, which never replace the latest file
+ * @param {Object} data - Candidate rankings data
+ * @returns {Object} Output of checkSnapshot
+ */
+function assertValidSnapshot(data) {
+    const result = checkSnapshot(data, null);
+    if (!result.passed) {
+        throw new Error(`Snapshot failed validation: ${result.errors.join(' | ')}`);
+    }
+    return result;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    GATE_THRESHOLDS,
+    loadSchema,
+    checkSnapshot,
+    writeRejectionReport,
+    checkAgainstLatest,
+    assertPublishable,
+    assertValidSnapshot
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { listArchive } = require('./storage');
+
+/**
+ * Timestamp part of an archived raw file name ("page-2026-02-07T12-46-13-019Z.html", optionally .gz)
+ * @param {string} file - File name or path
+ * @param {string} prefix - Name prefix before the timestamp (e.g. "page-")
+ * @param {string} ext - Extension including the dot (e.g. ".html")
+ * @returns {string|null} File-safe timestamp or null when the name doesn't match
+ */
+function rawSnapshotTimestamp(file, prefix, ext) {
+    const name = path.basename(file).replace(/\.gz$/, '');
+    if (!name.startsWith(prefix) || !name.endsWith(ext)) {
+        return null;
+    }
+    const stamp = name.slice(prefix.length, name.length - ext.length);
+    return /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/.test(stamp) ? stamp : null;
+}
+
+/**
+ * List archived raw snapshots in a folder, oldest first
+ * @param {string} dir - Raw archive folder
+ * @param {string} prefix - Name prefix before the timestamp
+ * @param {string} ext - Extension including the dot
+ * @returns {Array} [{ file, timestamp }]
+ */
+function listRawSnapshots(dir, prefix, ext) {
+    return listArchive(dir, prefix, ext);
+}
+
+/**
+ * Pick the raw snapshots a reprocess run replays
+ * @param {string} dir - Raw archive folder
+ * @param {string} prefix - Name prefix before the timestamp
+ * @param {string} ext - Extension including the dot
+ * @param {Object} options - { file, all } - one file, every snapshot, or (default) the newest
+ * @returns {Array} [{ file, timestamp }] oldest first
+ */
+function selectRawSnapshots(dir, prefix, ext, { file, all } = {}) {
+    if (file) {
+        const timestamp = rawSnapshotTimestamp(file, prefix, ext);
+        if (!fs.existsSync(file) || !timestamp) {
+            throw new Error(`${file} is not an archived ${prefix}<timestamp>${ext} snapshot`);
+        }
+        return [{ file, timestamp }];
+    }
+
+    const snapshots = listRawSnapshots(dir, prefix, ext);
+    if (snapshots.length === 0) {
+        throw new Error(`No raw snapshots found in ${dir}`);
+    }
+    return all ? snapshots : snapshots.slice(-1);
+}
+
+/**
+ * Whether a snapshot is at least as new as the current latest file
+ * Older snapshots replayed during a backfill only go into history
+ * @param {Object} data - Candidate rankings data
+ * @param {string} latestPath - Path of the current latest JSON file
+ * @returns {boolean} True when the snapshot should replace the latest file
+ */
+function isLatestSnapshot(data, latestPath) {
+    if (!fs.existsSync(latestPath)) {
+        return true;
+    }
+    const latest = JSON.parse(fs.readFileSync(latestPath, 'utf8'));
+    return !latest.lastUpdated || data.lastUpdated >= latest.lastUpdated;
+}
+
+/**
+ * Replay selected raw snapshots through a handler and combine the results
+ * One bad snapshot doesn't stop the rest of a backfill
+ * @param {string} dir - Raw archive folder
+ * @param {string} prefix - Name prefix before the timestamp
+ * @param {string} ext - Extension including the dot
+ * @param {Function} handler - (snapshot) => result row ({ success, players, skipped, error })
+ * @param {Object} options - { file, all } as for selectRawSnapshots
+ * @returns {Object} Combined result for the run report
+ */
+function reprocessSnapshots(dir, prefix, ext, handler, options) {
+    let snapshots;
+    try {
+        snapshots = selectRawSnapshots(dir, prefix, ext, options);
+    } catch (error) {
+        console.error(`  ${error.message}`);
+        return { success: false, error: error.message };
+    }
+
+    const errors = [];
+    let processed = 0;
+    let skipped = 0;
+    let players;
+    let dryRun;
+
+    for (const snapshot of snapshots) {
+        let result;
+        try {
+            result = handler(snapshot);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (result.skipped) {
+            skipped++;
+        } else if (result.success) {
+            processed++;
+            players = result.players;
+            dryRun = result.dryRun;
+        } else {
+            console.error(`  ${path.basename(snapshot.file)}: ${result.error}`);
+            errors.push(`${path.basename(snapshot.file)}: ${result.error}`);
+        }
+    }
+
+    return {
+        success: errors.length === 0 && processed > 0,
+        players,
+        dryRun,
+        snapshots: processed,
+        skipped,
+        error: errors.length > 0
+            ? errors.slice(0, 3).join(' | ') + (errors.length > 3 ? ` (+${errors.length - 3} more)` : '')
+            : processed === 0 ? `No snapshots in ${dir} could be reprocessed (${skipped} skipped)` : undefined
+    };
+}
+
+module.exports = {
+    rawSnapshotTimestamp,
+    listRawSnapshots,
+    selectRawSnapshots,
+    isLatestSnapshot,
+    reprocessSnapshots
+};
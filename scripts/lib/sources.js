@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every module in this folder is a source adapter
+const SOURCES_DIR = path.join(__dirname, '..', 'sources');
+
+// Fields every adapter must export (see "Source Adapters" in the README)
+const REQUIRED_FIELDS = {
+    id: 'string',
+    name: 'string',
+    order: 'number',
+    parserVersion: 'number',
+    formats: 'object',
+    raw: 'object',
+    parse: 'function',
+    playerIds: 'function'
+};
+
+let cache = null;
+
+/**
+ * Check that a module implements the adapter interface
+ * @param {Object} adapter - Loaded module
+ * @param {string} file - Module file, for the error message
+ */
+function validateAdapter(adapter, file) {
+    const problems = Object.entries(REQUIRED_FIELDS)
+        .filter(([field, type]) => typeof adapter[field] !== type)
+        .map(([field, type]) => `${field} must be a ${type}`);
+
+    if (adapter.raw && (!adapter.raw.prefix || !adapter.raw.extension)) {
+        problems.push('raw needs a prefix and an extension');
+    }
+    if (adapter.unsupported !== undefined && !Array.isArray(adapter.unsupported)) {
+        problems.push('unsupported must be an array');
+    }
+    for (const [name, dataset] of Object.entries(adapter.datasets || {})) {
+        if (typeof dataset.parse !== 'function' || !Array.isArray(dataset.csvColumns)) {
+            problems.push(`dataset "${name}" needs parse and csvColumns`);
+        }
+    }
+    if (adapter.fetchRaw !== undefined && typeof adapter.fetchRaw !== 'function') {
+        problems.push('fetchRaw must be a function');
+    }
+    if (adapter.id && path.basename(file, '.js') !== adapter.id) {
+        problems.push(`id "${adapter.id}" does not match the file name`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid source adapter ${file}: ${problems.join(', ')}`);
+    }
+}
+
+/**
+ * Load every source adapter, in display order
+ * @returns {Array} Adapters sorted by their order field
+ */
+function listSources() {
+    if (!cache) {
+        cache = fs.readdirSync(SOURCES_DIR)
+            .filter(f => f.endsWith('.js'))
+            .map(file => {
+                const adapter = require(path.join(SOURCES_DIR, file));
+                validateAdapter(adapter, file);
+                return adapter;
+            })
+            .sort((a, b) => a.order - b.order);
+    }
+    return cache;
+}
+
+/**
+ * Look up one adapter by its ID
+ * @param {string} id - Source ID (e.g. "ktc")
+ * @returns {Object|undefined} Adapter
+ */
+function getSource(id) {
+    return listSources().find(adapter => adapter.id === id);
+}
+
+module.exports = { listSources, getSource, SOURCES_DIR };
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { fromFileTimestamp } = require('./paths');
+
+// Retention rules per source; RETENTION_SETTINGS_FILE points at another file
+const RETENTION_FILE = path.join(__dirname, '..', '..', 'config', 'retention.json');
+
+// Used when the settings file has no default: every snapshot for 2 days (one per hour at most),
+// then one a day for 90 days, then one a week for good
+const DEFAULT_RETENTION = [
+    { every: '1h', for: '2d' },
+    { every: '1d', for: '90d' },
+    { every: '7d' }
+];
+
+const DURATION_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Archived files are gzipped; the -latest files stay plain so clients can read them directly
+const GZIP_EXTENSION = '.gz';
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+let cache = null;
+
+/**
+ * Write a file so readers only ever see the old or the new content: the content goes to a
+ * temp file in the same folder, is flushed, and replaces the target with a rename
+ * @param {string} file - Target path
+ * @param {string|Buffer} content - File content
+ */
+function writeFileAtomic(file, content) {
+    const dir = path.dirname(file);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const temp = path.join(dir, `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    const fd = fs.openSync(temp, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(temp, file);
+    } catch (error) {
+        fs.rmSync(temp, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Write JSON atomically, pretty-printed like every other data file
+ */
+function writeJsonAtomic(file, data) {
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read a stored file, gunzipping archived ones
+ * @param {string} file - Path, plain or ending in .gz
+ * @returns {string} File content
+ */
+function readStored(file) {
+    const bytes = fs.readFileSync(file);
+    return (file.endsWith(GZIP_EXTENSION) ? zlib.gunzipSync(bytes) : bytes).toString('utf8');
+}
+
+/**
+ * Read a stored processed snapshot
+ */
+function readSnapshot(file) {
+    return JSON.parse(readStored(file));
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash of a snapshot's content, ignoring when it was captured
+ * Two fetches that return the same rankings hash the same
+ * @param {Object} data - Rankings data
+ * @returns {string} Hex digest
+ */
+function snapshotHash(data) {
+    const { lastUpdated, ...content } = data;
+    return hashContent(JSON.stringify(content));
+}
+
+/**
+ * List the archived files in a folder named {prefix}{timestamp}{extension}, oldest first
+ * Files archived before compression (no .gz) are listed too; when both exist for a
+ * timestamp the compressed one wins
+ * @param {string} dir - Folder
+ * @param {string} prefix - Name prefix before the timestamp ("rankings-dynasty_1qb-", "page-")
+ * @param {string} extension - Extension including the dot, without .gz (".json", ".html")
+ * @returns {Array} [{ file, timestamp }]
+ */
+function listArchive(dir, prefix, extension) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const byStamp = new Map();
+    for (const name of fs.readdirSync(dir)) {
+        const plain = name.endsWith(GZIP_EXTENSION) ? name.slice(0, -GZIP_EXTENSION.length) : name;
+        if (!plain.startsWith(prefix) || !plain.endsWith(extension)) {
+            continue;
+        }
+        const timestamp = plain.slice(prefix.length, plain.length - extension.length);
+        if (!TIMESTAMP_PATTERN.test(timestamp)) {
+            continue;
+        }
+        if (!byStamp.has(timestamp) || name !== plain) {
+            byStamp.set(timestamp, { file: path.join(dir, name), timestamp });
+        }
+    }
+
+    return [...byStamp.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * A processed feed's history snapshots, oldest first
+ * @param {string} dir - Source folder under data/processed
+ * @param {string} stem - File stem from rankingsFileStem
+ * @returns {Array} [{ file, timestamp }]
+ */
+function listHistory(dir, stem) {
+    return listArchive(dir, `${stem}-`, '.json');
+}
+
+/**
+ * Archive one capture unless it matches the capture just before it
+ * Matching is by content hash (hashOf), so a snapshot whose only change is its capture
+ * time isn't stored again
+ * @param {string} dir - Folder
+ * @param {string} prefix - Name prefix before the timestamp
+ * @param {string} extension - Extension including the dot, without .gz
+ * @param {string} timestamp - File-safe capture time
+ * @param {string} content - Content to store
+ * @param {Function} hashOf - (content) => hash; compared with the previous capture read back as text
+ * @returns {Object} { file, written } - written is false for a duplicate (file is the copy kept)
+ */
+function archiveContent(dir, prefix, extension, timestamp, content, hashOf) {
+    const previous = listArchive(dir, prefix, extension).filter(entry => entry.timestamp < timestamp).pop();
+    if (previous && hashOf(readStored(previous.file)) === hashOf(content)) {
+        return { file: previous.file, written: false };
+    }
+
+    const file = path.join(dir, `${prefix}${timestamp}${extension}${GZIP_EXTENSION}`);
+    writeFileAtomic(file, zlib.gzipSync(content));
+    return { file, written: true };
+}
+
+/**
+ * Archive a processed snapshot into history (gzipped, skipped when unchanged)
+ * @param {string} dir - Source folder under data/processed
+ * @param {string} stem - File stem from rankingsFileStem
+ * @param {string} timestamp - File-safe capture time
+ * @param {Object} data - Rankings data
+ * @returns {Object} { file, written }
+ */
+function writeHistory(dir, stem, timestamp, data) {
+    return archiveContent(dir, `${stem}-`, '.json', timestamp, JSON.stringify(data, null, 2),
+        text => snapshotHash(JSON.parse(text)));
+}
+
+/**
+ * Archive a raw response (gzipped, skipped when byte-identical to the previous one)
+ * @returns {Object} { file, written }
+ */
+function writeRawArchive(dir, prefix, extension, timestamp, raw) {
+    return archiveContent(dir, prefix, extension, timestamp, raw, hashContent);
+}
+
+/**
+ * Parse a duration such as "1h", "90d" or "2w"
+ * @returns {number} Milliseconds
+ */
+function parseDuration(text) {
+    const match = /^(\d+)([hdw])$/.exec(String(text).trim());
+    if (!match) {
+        throw new Error(`Invalid duration "${text}" (expected e.g. 1h, 90d, 2w)`);
+    }
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Load the retention settings file (cached per process)
+ * @returns {Object} { default, sources }
+ */
+function loadRetentionSettings() {
+    if (!cache) {
+        const file = process.env.RETENTION_SETTINGS_FILE || RETENTION_FILE;
+        cache = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+    return cache;
+}
+
+/**
+ * Retention rules for one source: its own list, or the file's default
+ * @param {string} source - Source key
+ * @returns {Array} [{ every, for }] - "for" is missing on the rule that keeps forever
+ */
+function retentionFor(source) {
+    const settings = loadRetentionSettings();
+    return settings.sources?.[source] || settings.default || DEFAULT_RETENTION;
+}
+
+/**
+ * Pick which archived captures a retention policy keeps
+ * Each capture falls under the first rule whose "for" covers its age. Within a rule, the
+ * newest capture in each "every"-long bucket is kept; captures older than every rule are
+ * dropped. The newest capture overall is always kept.
+ * @param {Array} entries - [{ timestamp }] oldest first
+ * @param {Array} rules - Output of retentionFor
+ * @param {Date} [now] - Current time
+ * @returns {Set} Entries to keep
+ */
+function selectRetained(entries, rules, now = new Date()) {
+    const parsed = rules.map(rule => ({
+        every: parseDuration(rule.every),
+        for: rule.for === undefined ? Infinity : parseDuration(rule.for)
+    }));
+
+    const kept = new Set();
+    const buckets = new Set();
+
+    for (const entry of [...entries].reverse()) {
+        const time = Date.parse(fromFileTimestamp(entry.timestamp));
+        const age = now - time;
+        const index = parsed.findIndex(rule => age < rule.for);
+        if (index === -1) {
+            continue;
+        }
+
+        const bucket = `${index}:${Math.floor(time / parsed[index].every)}`;
+        if (!buckets.has(bucket)) {
+            buckets.add(bucket);
+            kept.add(entry);
+        }
+    }
+
+    if (entries.length > 0) {
+        kept.add(entries[entries.length - 1]);
+    }
+    return kept;
+}
+
+/**
+ * Delete the archived captures a retention policy doesn't keep
+ * @param {Array} entries - Output of listArchive/listHistory
+ * @param {Array} rules - Output of retentionFor
+ * @param {Object} [options] - { now, dryRun }
+ * @returns {Array} Entries removed (or that would be, on a dry run)
+ */
+function applyRetention(entries, rules, options = {}) {
+    const { now = new Date(), dryRun = false } = options;
+    const kept = selectRetained(entries, rules, now);
+    const removed = entries.filter(entry => !kept.has(entry));
+
+    if (!dryRun) {
+        for (const entry of removed) {
+            fs.unlinkSync(entry.file);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Bring an archive folder in line with the storage rules: gzip files archived before
+ * compression, drop captures identical to the one before them, then apply retention
+ * @param {string} dir - Folder
+ * @param {string} prefix - Name prefix before the timestamp
+ * @param {string} extension - Extension including the dot, without .gz
+ * @param {Object} options - { rules, hashOf, dryRun, now }
+ * @returns {Object} { compressed, duplicates, expired, kept }
+ */
+function compactArchive(dir, prefix, extension, options) {
+    const { rules, hashOf = hashContent, dryRun = false, now = new Date() } = options;
+    let entries = listArchive(dir, prefix, extension);
+    const summary = { compressed: 0, duplicates: 0, expired: 0, kept: 0 };
+
+    let previousHash = null;
+    const unique = [];
+    for (const entry of entries) {
+        const content = readStored(entry.file);
+        const hash = hashOf(content);
+        if (hash === previousHash) {
+            summary.duplicates++;
+            if (!dryRun) {
+                fs.unlinkSync(entry.file);
+            }
+            continue;
+        }
+        previousHash = hash;
+
+        if (!entry.file.endsWith(GZIP_EXTENSION)) {
+            summary.compressed++;
+            if (!dryRun) {
+                const file = `${entry.file}${GZIP_EXTENSION}`;
+                writeFileAtomic(file, zlib.gzipSync(content));
+                fs.unlinkSync(entry.file);
+                entry.file = file;
+            }
+        }
+        unique.push(entry);
+    }
+
+    entries = unique;
+    summary.expired = applyRetention(entries, rules, { now, dryRun }).length;
+    summary.kept = entries.length - summary.expired;
+    return summary;
+}
+
+module.exports = {
+    RETENTION_FILE,
+    DEFAULT_RETENTION,
+    writeFileAtomic,
+    writeJsonAtomic,
+    readStored,
+    readSnapshot,
+    snapshotHash,
+    listArchive,
+    listHistory,
+    writeHistory,
+    writeRawArchive,
+    loadRetentionSettings,
+    retentionFor,
+    selectRetained,
+    applyRetention,
+    compactArchive
+};
@@ -0,0 +1,75 @@
+// Standard NFL team abbreviations (the same ones FantasyCalc and Sleeper use)
+const TEAM_ABBREVIATIONS = {
+    'Arizona Cardinals': 'ARI',
+    'Atlanta Falcons': 'ATL',
+    'Baltimore Ravens': 'BAL',
+    'Buffalo Bills': 'BUF',
+    'Carolina Panthers': 'CAR',
+    'Chicago Bears': 'CHI',
+    'Cincinnati Bengals': 'CIN',
+    'Cleveland Browns': 'CLE',
+    'Dallas Cowboys': 'DAL',
+    'Denver Broncos': 'DEN',
+    'Detroit Lions': 'DET',
+    'Green Bay Packers': 'GB',
+    'Houston Texans': 'HOU',
+    'Indianapolis Colts': 'IND',
+    'Jacksonville Jaguars': 'JAX',
+    'Kansas City Chiefs': 'KC',
+    'Las Vegas Raiders': 'LV',
+    'Los Angeles Chargers': 'LAC',
+    'Los Angeles Rams': 'LAR',
+    'Miami Dolphins': 'MIA',
+    'Minnesota Vikings': 'MIN',
+    'New England Patriots': 'NE',
+    'New Orleans Saints': 'NO',
+    'New York Giants': 'NYG',
+    'New York Jets': 'NYJ',
+    'Philadelphia Eagles': 'PHI',
+    'Pittsburgh Steelers': 'PIT',
+    'San Francisco 49ers': 'SF',
+    'Seattle Seahawks': 'SEA',
+    'Tampa Bay Buccaneers': 'TB',
+    'Tennessee Titans': 'TEN',
+    'Washington Commanders': 'WAS'
+};
+
+// Non-standard abbreviations seen in source feeds (KTC uses three-letter codes everywhere)
+const TEAM_ALIASES = {
+    GBP: 'GB',
+    JAC: 'JAX',
+    KCC: 'KC',
+    LVR: 'LV',
+    NEP: 'NE',
+    NOS: 'NO',
+    SFO: 'SF',
+    TBB: 'TB',
+    WSH: 'WAS'
+};
+
+const STANDARD_TEAMS = new Set(Object.values(TEAM_ABBREVIATIONS));
+
+// Case-insensitive lookup of full names
+const NAME_LOOKUP = new Map(
+    Object.entries(TEAM_ABBREVIATIONS).map(([name, abbr]) => [name.toUpperCase(), abbr])
+);
+
+/**
+ * Convert a team name or abbreviation to the standard abbreviation
+ * @param {string} team - Full team name ("Atlanta Falcons") or abbreviation ("ATL", "KCC")
+ * @returns {string|null} Standard abbreviation, 'FA' for blank input, or null if unknown
+ */
+function normalizeTeam(team) {
+    const value = (team || '').trim().toUpperCase();
+
+    if (!value || value === 'FA' || value === 'FREE AGENT') {
+        return 'FA';
+    }
+    if (STANDARD_TEAMS.has(value)) {
+        return value;
+    }
+
+    return TEAM_ALIASES[value] || NAME_LOOKUP.get(value) || null;
+}
+
+module.exports = { TEAM_ABBREVIATIONS, TEAM_ALIASES, normalizeTeam };
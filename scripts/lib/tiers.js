@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tier settings per source; TIER_SETTINGS_FILE points at another file
+const TIERS_FILE = path.join(__dirname, '..', '..', 'config', 'tiers.json');
+
+// Used when the settings file has no default
+const DEFAULT_TIER_SETTINGS = {
+    tiers: 12,
+    positionTiers: 8
+};
+
+let cache = null;
+
+/**
+ * Load the tier settings file (cached per process)
+ * @returns {Object} { default, sources }
+ */
+function loadTierSettings() {
+    if (!cache) {
+        const file = process.env.TIER_SETTINGS_FILE || TIERS_FILE;
+        cache = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+    return cache;
+}
+
+/**
+ * Tier settings for one source: the file's default with the source's overrides on top
+ * A source override that sets "gap" switches that source to gap breaks, and one that sets
+ * "tiers" switches it back to a fixed count
+ * @param {string} source - Source key
+ * @returns {Object} { tiers, positionTiers } or { gap }
+ */
+function tierSettingsFor(source) {
+    const file = loadTierSettings();
+    const base = { ...DEFAULT_TIER_SETTINGS, ...file.default };
+    const override = file.sources?.[source] || {};
+
+    if (override.gap !== undefined) {
+        return { gap: override.gap };
+    }
+    if (override.tiers !== undefined || override.positionTiers !== undefined) {
+        const { gap, ...counts } = base;
+        return { ...counts, ...override };
+    }
+    return base;
+}
+
+/**
+ * Split an ordered list of numbers into a fixed number of tiers with the smallest total
+ * within-tier variance (Jenks natural breaks on contiguous runs)
+ * @param {number[]} values - Metric values in rank order
+ * @param {number} count - Number of tiers
+ * @returns {number[]} Tier (1-based) for each value
+ */
+function naturalBreaks(values, count) {
+    const n = values.length;
+    const k = Math.min(count, n);
+    if (n === 0) {
+        return [];
+    }
+
+    const sum = new Float64Array(n + 1);
+    const squares = new Float64Array(n + 1);
+    values.forEach((v, i) => {
+        sum[i + 1] = sum[i] + v;
+        squares[i + 1] = squares[i] + v * v;
+    });
+
+    // Squared deviation of values[from..to) around their mean
+    const cost = (from, to) => {
+        const s = sum[to] - sum[from];
+        return squares[to] - squares[from] - (s * s) / (to - from);
+    };
+
+    // best[j] = lowest cost of splitting the first j values into the current number of tiers;
+    // starts[t][j] = where the last of those tiers begins
+    let best = Float64Array.from({ length: n + 1 }, (_, j) => (j === 0 ? 0 : cost(0, j)));
+    const starts = [new Int32Array(n + 1)];
+
+    for (let t = 2; t <= k; t++) {
+        const next = new Float64Array(n + 1).fill(Infinity);
+        const start = new Int32Array(n + 1);
+        for (let j = t; j <= n; j++) {
+            for (let i = t - 1; i < j; i++) {
+                const total = best[i] + cost(i, j);
+                if (total < next[j]) {
+                    next[j] = total;
+                    start[j] = i;
+                }
+            }
+        }
+        best = next;
+        starts.push(start);
+    }
+
+    const tiers = new Array(n);
+    let end = n;
+    for (let t = k; t >= 1; t--) {
+        const from = t === 1 ? 0 : starts[t - 1][end];
+        tiers.fill(t, from, end);
+        end = from;
+    }
+    return tiers;
+}
+
+/**
+ * Start a new tier wherever the step to the next player is more than
+ * `gap` times the average step
+ * @param {number[]} values - Metric values in rank order
+ * @param {number} gap - Break threshold as a multiple of the average step
+ * @returns {number[]} Tier (1-based) for each value
+ */
+function gapBreaks(values, gap) {
+    if (values.length === 0) {
+        return [];
+    }
+
+    const steps = values.slice(1).map((v, i) => Math.abs(v - values[i]));
+    const average = steps.length > 0 ? steps.reduce((a, b) => a + b, 0) / steps.length : 0;
+
+    const tiers = [1];
+    steps.forEach(step => {
+        const tier = tiers[tiers.length - 1];
+        tiers.push(average > 0 && step > gap * average ? tier + 1 : tier);
+    });
+    return tiers;
+}
+
+/**
+ * Tier one ordered list with the configured method
+ */
+function tierValues(values, settings, count) {
+    return settings.gap !== undefined ? gapBreaks(values, settings.gap) : naturalBreaks(values, count);
+}
+
+/**
+ * Add generated tiers to every player, overall (autoTier) and within their position (autoPositionTier)
+ * Players without the metric get null for both. Source-provided tier fields are left alone.
+ * @param {Array} players - Players in rank order
+ * @param {string} metric - Player field to break on (value, adp, ...)
+ * @param {Object} settings - Output of tierSettingsFor
+ * @returns {Object} Tiering summary for the snapshot: { method, metric, tiers, positionTiers, gap }
+ */
+function assignTiers(players, metric, settings) {
+    const ranked = players
+        .filter(p => typeof p[metric] === 'number' && Number.isFinite(p[metric]))
+        .sort((a, b) => a.rank - b.rank);
+
+    for (const player of players) {
+        player.autoTier = null;
+        player.autoPositionTier = null;
+    }
+
+    const overall = tierValues(ranked.map(p => p[metric]), settings, settings.tiers);
+    ranked.forEach((player, i) => {
+        player.autoTier = overall[i];
+    });
+
+    const byPosition = {};
+    for (const player of ranked) {
+        (byPosition[player.position] = byPosition[player.position] || []).push(player);
+    }
+    for (const group of Object.values(byPosition)) {
+        const tiers = tierValues(group.map(p => p[metric]), settings, settings.positionTiers);
+        group.forEach((player, i) => {
+            player.autoPositionTier = tiers[i];
+        });
+    }
+
+    return {
+        method: settings.gap !== undefined ? 'gap' : 'natural_breaks',
+        metric: metric,
+        tiers: ranked.length > 0 ? Math.max(...overall) : 0,
+        ...(settings.gap !== undefined ? { gap: settings.gap } : { positionTiers: settings.positionTiers })
+    };
+}
+
+module.exports = {
+    TIERS_FILE,
+    loadTierSettings,
+    tierSettingsFor,
+    naturalBreaks,
+    gapBreaks,
+    assignTiers
+};
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeName } = require('./player-registry');
+const { sourceFormat } = require('./formats');
+const { getSource } = require('./sources');
+const { BASELINE } = require('./league-settings');
+const { DATA_DIR, getDataPaths, rankingsFileStem } = require('./paths');
+
+// Sources whose values are trade values (KTC and Fantasy Calc are both on a 0-10000 scale)
+const TRADE_SOURCES = ['ktc', 'fantasycalc'];
+
+// Consolidation curve: each asset counts as top * (value / top) ^ STUD_EXPONENT, where top is
+// the source's most valuable player. Above 1 a stud is worth more than the pieces that add up
+// to it: two 5000s only match one player worth about 7940, not 10000
+const STUD_EXPONENT = 1.5;
+
+// A trade within this share of the bigger side is reported as even
+const FAIR_MARGIN = 0.05;
+
+// Players suggested to close the gap
+const SUGGESTION_COUNT = 5;
+
+// Source ID fields a player can be given by, besides the registry dcId
+const ID_FIELDS = ['dcId', 'playerId', 'sleeperId', 'fantasycalcId', 'underdogId'];
+
+const ORDINALS = { '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5 };
+
+/**
+ * Parse a rookie pick ("2026 1st", "2026 early 2nd", "2026 1.05")
+ * @param {string} text - Pick as typed
+ * @returns {Object|null} { season, round, slot, pick } or null when it isn't a pick
+ */
+function parsePick(text) {
+    const match = /^\s*(20\d\d)\s+(?:(early|mid|late)\s+)?(?:(\d)(?:st|nd|rd|th)|(?:pick\s+)?(\d)\.(\d{1,2}))(?:\s+round)?\s*$/i.exec(text);
+    if (!match) {
+        return null;
+    }
+    return {
+        season: parseInt(match[1], 10),
+        round: parseInt(match[3] || match[4], 10),
+        slot: match[2] ? match[2].toLowerCase() : null,
+        pick: match[5] ? parseInt(match[5], 10) : null
+    };
+}
+
+/**
+ * Display name for a parsed pick ("2026 Early 1st", "2026 Pick 1.05")
+ */
+function pickName(pick) {
+    const round = Object.keys(ORDINALS).find(key => ORDINALS[key] === pick.round) || `${pick.round}th`;
+    if (pick.pick) {
+        return `${pick.season} Pick ${pick.round}.${String(pick.pick).padStart(2, '0')}`;
+    }
+    return `${pick.season} ${pick.slot ? `${pick.slot[0].toUpperCase()}${pick.slot.slice(1)} ` : ''}${round}`;
+}
+
+/**
+ * Read a source's latest values (and rookie pick values, when published) for a format
+ * @param {string} source - Source key
+ * @param {string} format - Canonical format key
+ * @param {string} [dataDir] - Data root
+ * @returns {Object|null} { source, format, lastUpdated, teams, players, picks, top } or null without a latest file
+ */
+function loadTradeValues(source, format, dataDir = DATA_DIR) {
+    const processedDir = path.join(getDataPaths(dataDir).processed, source);
+    const key = sourceFormat(source, format);
+    const latestPath = path.join(processedDir, `${rankingsFileStem(source, key)}-latest.json`);
+    if (!fs.existsSync(latestPath)) {
+        return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(latestPath, 'utf8'));
+    const players = data.players.filter(p => typeof p.value === 'number');
+
+    const picksPath = path.join(processedDir, `rankings-picks-${key}-latest.json`);
+    const picks = fs.existsSync(picksPath) ? JSON.parse(fs.readFileSync(picksPath, 'utf8')).picks || [] : null;
+
+    return {
+        source,
+        format: key,
+        lastUpdated: data.lastUpdated,
+        // Files from before league settings were recorded fall back to the adapter's format
+        teams: data.leagueSettings?.teams ?? getSource(source)?.formats?.[key]?.settings?.teams ?? BASELINE.teams,
+        players,
+        picks,
+        top: Math.max(...players.map(p => p.value), ...(picks || []).map(p => p.value))
+    };
+}
+
+/**
+ * Find a player by ID or name; the highest-ranked match wins when names collide
+ * @param {Array} players - Players in a latest file
+ * @param {string} query - dcId, a source ID or a name
+ * @returns {Object|undefined} Player
+ */
+function findPlayer(players, query) {
+    const id = query.trim();
+    const byId = players.find(p => ID_FIELDS.some(field => p[field] !== undefined && p[field] !== null && String(p[field]) === id));
+    if (byId) {
+        return byId;
+    }
+
+    const key = normalizeName(query);
+    return players
+        .filter(p => normalizeName(p.name) === key)
+        .sort((a, b) => a.rank - b.rank)[0];
+}
+
+/**
+ * Early/mid/late slot of an exact pick, splitting the round into thirds of the league
+ * @param {number} number - Pick number within the round
+ * @param {number} teams - Teams in the league
+ * @returns {string} Slot
+ */
+function slotFor(number, teams) {
+    if (number <= Math.round(teams / 3)) {
+        return 'early';
+    }
+    return number <= Math.round((2 * teams) / 3) ? 'mid' : 'late';
+}
+
+/**
+ * Find the value of a rookie pick: the exact pick, then its early/mid/late slot, then the
+ * round as a whole (priced as a mid pick)
+ * @param {Array} picks - Picks from a rankings-picks file
+ * @param {Object} pick - Output of parsePick
+ * @param {number} [teams] - Teams in the league, for the slot of an exact pick
+ * @returns {Object|undefined} Matching pick entry
+ */
+function findPick(picks, pick, teams = BASELINE.teams) {
+    const sameRound = picks.filter(p => p.season === pick.season && p.round === pick.round);
+
+    return (pick.pick && sameRound.find(p => p.pick === pick.pick))
+        || sameRound.find(p => !p.pick && p.slot === (pick.slot || (pick.pick ? slotFor(pick.pick, teams) : null)))
+        || sameRound.find(p => !p.pick && p.slot === 'mid')
+        || sameRound.find(p => !p.pick && !p.slot);
+}
+
+/**
+ * Asset value after the consolidation curve
+ * @param {number} value - Raw value
+ * @param {number} top - Most valuable asset in the source
+ * @returns {number} Adjusted value
+ */
+function adjustedValue(value, top) {
+    return top > 0 ? Math.round(top * Math.pow(Math.max(value, 0) / top, STUD_EXPONENT)) : value;
+}
+
+/**
+ * Price one side of a trade under one source
+ * @param {string[]} assets - Player names/IDs and picks
+ * @param {Object} values - Output of loadTradeValues
+ * @returns {Object} { assets, total, adjustedTotal, missing, unpriced }
+ */
+function priceSide(assets, values) {
+    const priced = [];
+    const missing = [];
+    const unpriced = [];
+
+    for (const input of assets) {
+        const pick = parsePick(input);
+        if (pick) {
+            const entry = values.picks && findPick(values.picks, pick, values.teams);
+            if (entry) {
+                priced.push({ input, name: entry.name, position: 'PICK', value: entry.value });
+            } else {
+                unpriced.push(pickName(pick));
+            }
+            continue;
+        }
+
+        const player = findPlayer(values.players, input);
+        if (player) {
+            priced.push({ input, name: player.name, position: player.position, team: player.team, dcId: player.dcId, value: player.value });
+        } else {
+            missing.push(input);
+        }
+    }
+
+    for (const asset of priced) {
+        asset.adjusted = adjustedValue(asset.value, values.top);
+    }
+
+    return {
+        assets: priced,
+        total: priced.reduce((sum, a) => sum + a.value, 0),
+        adjustedTotal: priced.reduce((sum, a) => sum + a.adjusted, 0),
+        missing,
+        unpriced
+    };
+}
+
+/**
+ * Players that would even the trade if added to the side that gets less,
+ * ranked by how close their adjusted value (averaged over sources) is to the gap
+ * @param {Array} evaluations - Per-source evaluations
+ * @param {number} gap - Average adjusted gap (positive: side A gets more)
+ * @returns {Array} [{ name, position, team, values: { source: adjusted } }]
+ */
+function suggestPlayers(evaluations, gap) {
+    const inTrade = new Set(evaluations.flatMap(e => [...e.sides.a.assets, ...e.sides.b.assets].map(a => normalizeName(a.name))));
+    const candidates = new Map();
+
+    for (const { source, values } of evaluations) {
+        for (const player of values.players) {
+            const key = normalizeName(player.name);
+            if (inTrade.has(key)) {
+                continue;
+            }
+            if (!candidates.has(key)) {
+                candidates.set(key, { name: player.name, position: player.position, team: player.team, values: {} });
+            }
+            const candidate = candidates.get(key);
+            if (candidate.values[source] === undefined) {
+                candidate.values[source] = adjustedValue(player.value, values.top);
+            }
+        }
+    }
+
+    const average = c => {
+        const list = Object.values(c.values);
+        return list.reduce((a, b) => a + b, 0) / list.length;
+    };
+
+    return [...candidates.values()]
+        .filter(c => Object.keys(c.values).length === evaluations.length)
+        .sort((a, b) => Math.abs(average(a) - Math.abs(gap)) - Math.abs(average(b) - Math.abs(gap)))
+        .slice(0, SUGGESTION_COUNT);
+}
+
+/**
+ * Evaluate a trade under every trade-value source that has the format
+ * @param {Object} trade - { a: [assets], b: [assets] } (what each side receives)
+ * @param {Object} options - { format: canonical format key, dataDir }
+ * @returns {Object} { format, sources: [...], verdict, gap, suggestions, missing, unpriced }
+ */
+function evaluateTrade(trade, options) {
+    const { format, dataDir = DATA_DIR } = options;
+    const evaluations = [];
+
+    for (const source of TRADE_SOURCES) {
+        const values = loadTradeValues(source, format, dataDir);
+        if (!values) {
+            continue;
+        }
+
+        const a = priceSide(trade.a, values);
+        const b = priceSide(trade.b, values);
+        const difference = a.adjustedTotal - b.adjustedTotal;
+        const larger = Math.max(a.adjustedTotal, b.adjustedTotal);
+
+        evaluations.push({
+            source,
+            format: values.format,
+            lastUpdated: values.lastUpdated,
+            values,
+            sides: { a, b },
+            difference,
+            balance: larger > 0 ? Math.round((difference / larger) * 1000) / 10 : 0
+        });
+    }
+
+    if (evaluations.length === 0) {
+        throw new Error(`No KTC or Fantasy Calc values found for ${format}`);
+    }
+
+    // An asset is only missing when no source knows it
+    const missingEverywhere = side => trade[side].filter(input =>
+        evaluations.every(e => e.sides[side].missing.includes(input))
+    );
+    const unpriced = [...new Set(evaluations.flatMap(e => [...e.sides.a.unpriced, ...e.sides.b.unpriced]))];
+
+    const gap = Math.round(evaluations.reduce((sum, e) => sum + e.difference, 0) / evaluations.length);
+    const larger = Math.max(...evaluations.map(e => Math.max(e.sides.a.adjustedTotal, e.sides.b.adjustedTotal)));
+    const even = larger === 0 || Math.abs(gap) <= larger * FAIR_MARGIN;
+
+    return {
+        format,
+        studExponent: STUD_EXPONENT,
+        sources: evaluations.map(({ values, ...evaluation }) => evaluation),
+        gap,
+        verdict: even ? 'even' : gap > 0 ? 'a' : 'b',
+        suggestions: even ? [] : suggestPlayers(evaluations, gap).map(player => ({ ...player, addTo: gap > 0 ? 'b' : 'a' })),
+        missing: { a: missingEverywhere('a'), b: missingEverywhere('b') },
+        unpriced
+    };
+}
+
+module.exports = {
+    TRADE_SOURCES,
+    STUD_EXPONENT,
+    parsePick,
+    loadTradeValues,
+    findPlayer,
+    adjustedValue,
+    evaluateTrade
+};
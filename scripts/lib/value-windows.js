@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+// Window settings and age curves; VALUE_WINDOWS_FILE points at another file
+const WINDOWS_FILE = path.join(__dirname, '..', '..', 'config', 'value-windows.json');
+
+// Windows shorter or longer than this aren't planned by real teams
+const MIN_HORIZON = 1;
+const MAX_HORIZON = 5;
+
+// Used for whatever the settings file leaves out
+// Each curve is 1 through the position's peak ages, rises by "growth" per year before it
+// and falls by "decline" per year after it
+const DEFAULT_WINDOW_SETTINGS = {
+    horizon: 3,
+    discount: 0.15,
+    ageCurves: {
+        QB: { peakStart: 26, peakEnd: 33, growth: 0.05, decline: 0.1 },
+        RB: { peakStart: 23, peakEnd: 26, growth: 0.06, decline: 0.22 },
+        WR: { peakStart: 24, peakEnd: 29, growth: 0.06, decline: 0.14 },
+        TE: { peakStart: 25, peakEnd: 30, growth: 0.08, decline: 0.15 }
+    }
+};
+
+// Lowest point of any curve, so a player far past their peak still keeps a sliver of value
+const CURVE_FLOOR = 0.1;
+
+let cache = null;
+
+/**
+ * Check a window length
+ * @param {*} horizon - Years
+ * @param {string} from - Where it came from, for the error message
+ * @returns {number} The horizon
+ */
+function validateHorizon(horizon, from) {
+    if (!Number.isInteger(horizon) || horizon < MIN_HORIZON || horizon > MAX_HORIZON) {
+        throw new Error(`Invalid value window horizon ${JSON.stringify(horizon)} in ${from} (whole years, ${MIN_HORIZON}-${MAX_HORIZON})`);
+    }
+    return horizon;
+}
+
+/**
+ * Load the window settings file over the defaults (cached per process)
+ * VALUE_WINDOW_HORIZON overrides the file's horizon for one run
+ * @returns {Object} { horizon, discount, ageCurves }
+ */
+function loadWindowSettings() {
+    if (!cache) {
+        const file = process.env.VALUE_WINDOWS_FILE || WINDOWS_FILE;
+        const settings = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+        const merged = {
+            ...DEFAULT_WINDOW_SETTINGS,
+            ...settings,
+            ageCurves: { ...DEFAULT_WINDOW_SETTINGS.ageCurves, ...settings.ageCurves }
+        };
+        validateHorizon(merged.horizon, file);
+
+        if (process.env.VALUE_WINDOW_HORIZON) {
+            merged.horizon = validateHorizon(Number(process.env.VALUE_WINDOW_HORIZON), 'VALUE_WINDOW_HORIZON');
+        }
+        cache = merged;
+    }
+    return cache;
+}
+
+/**
+ * Share of peak production a player is expected to have at an age
+ * @param {Object} curve - { peakStart, peakEnd, growth, decline }
+ * @param {number} age - Age in years
+ * @returns {number} 1 at peak, down to CURVE_FLOOR
+ */
+function curveAt(curve, age) {
+    let level = 1;
+    if (age < curve.peakStart) {
+        level = 1 - curve.growth * (curve.peakStart - age);
+    } else if (age > curve.peakEnd) {
+        level = 1 - curve.decline * (age - curve.peakEnd);
+    }
+    return Math.max(level, CURVE_FLOOR);
+}
+
+/**
+ * How a player's production changes over the next years, relative to today
+ * Players without a known age or curve stay level
+ * @param {string} position - QB, RB, WR or TE
+ * @param {number|null} age - Age today
+ * @param {number} years - Years ahead
+ * @param {Object} settings - Output of loadWindowSettings
+ * @returns {number} Multiplier (above 1 while a player is still growing into their peak)
+ */
+function ageFactor(position, age, years, settings) {
+    const curve = settings.ageCurves[position];
+    if (!curve || typeof age !== 'number') {
+        return 1;
+    }
+    return curveAt(curve, age + years) / curveAt(curve, age);
+}
+
+/**
+ * Win-now and rebuild values for one player
+ * Win-now is this season's redraft value carried along the age curve through the window,
+ * each later season counting "discount" less than the one before. Rebuild is the dynasty
+ * value aged to the end of the window, when a rebuilding team expects to contend.
+ * Both are shares of the feed's best value (0-1); redraft or dynasty share may be null
+ * @param {Object} player - { position, age }
+ * @param {Object} shares - { dynasty, redraft }
+ * @param {Object} settings - Output of loadWindowSettings
+ * @returns {Object} { winNow, rebuild } as shares, null where the input is missing
+ */
+function windowShares(player, shares, settings) {
+    const { horizon, discount } = settings;
+
+    let winNow = null;
+    if (shares.redraft !== null) {
+        let total = 0;
+        let weights = 0;
+        for (let year = 0; year < horizon; year++) {
+            const weight = (1 - discount) ** year;
+            total += weight * shares.redraft * ageFactor(player.position, player.age, year, settings);
+            weights += weight;
+        }
+        winNow = total / weights;
+    }
+
+    const rebuild = shares.dynasty === null
+        ? null
+        : shares.dynasty * ageFactor(player.position, player.age, horizon, settings);
+
+    return { winNow, rebuild };
+}
+
+/**
+ * Number players 1..n by a field, highest first; players without it get null
+ */
+function rankBy(players, field, rankField) {
+    players.forEach(p => {
+        p[rankField] = null;
+    });
+    players
+        .filter(p => p[field] !== null)
+        .sort((a, b) => b[field] - a[field])
+        .forEach((p, i) => {
+            p[rankField] = i + 1;
+        });
+}
+
+/**
+ * Add win-now and rebuild values to a dynasty feed's players
+ * Values are put on the dynasty feed's scale (its best player's value), so they sort
+ * and compare alongside the published value
+ * @param {Array} players - [{ dcId, name, position, team, value, redraftValue, age }]
+ * @param {Object} [settings] - Output of loadWindowSettings
+ * @returns {Array} Players with winNowValue, winNowRank, rebuildValue and rebuildRank, in dynasty order
+ */
+function applyValueWindows(players, settings = loadWindowSettings()) {
+    const best = field => Math.max(0, ...players.map(p => (typeof p[field] === 'number' ? p[field] : 0)));
+    const maxValue = best('value');
+    const maxRedraft = best('redraftValue');
+    const share = (value, max) => (typeof value === 'number' && max > 0 ? value / max : null);
+    const scaled = value => (value === null ? null : Math.round(value * maxValue));
+
+    const results = players.map(p => {
+        const shares = windowShares(p, { dynasty: share(p.value, maxValue), redraft: share(p.redraftValue, maxRedraft) }, settings);
+        return {
+            ...p,
+            winNowValue: scaled(shares.winNow),
+            rebuildValue: scaled(shares.rebuild)
+        };
+    });
+
+    rankBy(results, 'winNowValue', 'winNowRank');
+    rankBy(results, 'rebuildValue', 'rebuildRank');
+    return results;
+}
+
+module.exports = {
+    WINDOWS_FILE,
+    DEFAULT_WINDOW_SETTINGS,
+    MIN_HORIZON,
+    MAX_HORIZON,
+    loadWindowSettings,
+    curveAt,
+    ageFactor,
+    windowShares,
+    applyValueWindows
+};
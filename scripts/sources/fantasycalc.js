@@ -0,0 +1,160 @@
+const { assertOk } = require('../lib/http-client');
+const { SourceError } = require('../lib/health');
+const { loadLeagueSettings, formatKey, formatName } = require('../lib/league-settings');
+
+// Bumped whenever a parser change alters what ends up in the processed files (listed in the manifest)
+const PARSER_VERSION = 1;
+
+const FC_API_URL = 'https://api.fantasycalc.com/values/current';
+
+/**
+ * Unsupported reason for a league, or null when Fantasy Calc has values for it
+ * The values API takes league size, QB count and PPR, but has no TE premium setting
+ */
+function unsupportedReason(settings) {
+    return settings.tePremium > 0 ? 'Fantasy Calc has no TE premium values' : null;
+}
+
+// Fantasy Calc format table, one endpoint per league in config/league-settings.json
+// Keys use Fantasy Calc's "2qb" naming; lib/formats.js maps them to the canonical "superflex"
+const FC_FORMATS = {};
+for (const settings of loadLeagueSettings().filter(league => !unsupportedReason(league))) {
+    const key = formatKey(settings, '2qb');
+    const params = `isDynasty=${settings.type === 'dynasty'}&numQbs=${settings.qbs}&numTeams=${settings.teams}&ppr=${settings.ppr}`;
+    FC_FORMATS[key] = {
+        endpoint: `${FC_API_URL}?${params}`,
+        format: key,
+        name: formatName(settings, '2QB/Superflex'),
+        settings
+    };
+}
+
+// Leagues in the settings file Fantasy Calc can't serve, reported instead of silently dropped
+const FC_UNSUPPORTED = loadLeagueSettings()
+    .filter(unsupportedReason)
+    .map(settings => ({ format: formatKey(settings, '2qb'), name: formatName(settings, '2QB/Superflex'), reason: unsupportedReason(settings) }));
+
+/**
+ * Parse FantasyCalc API response
+ * @param {Object} apiData - Raw API response
+ * @returns {Object} Parsed rankings data
+ */
+function parseFantasyCalcResponse(apiData) {
+    const players = [];
+
+    if (!Array.isArray(apiData)) {
+        throw new SourceError('Invalid API response: expected array', 'layout_changed');
+    }
+
+    for (let i = 0; i < apiData.length; i++) {
+        const item = apiData[i];
+
+        // Extract player data from the API response
+        // Format: { player: {...}, value: number, overallRank: number, positionRank: number, ... }
+        const player = item.player || {};
+
+        const name = player.name;
+        const position = player.position?.toUpperCase();
+        const team = player.maybeTeam?.toUpperCase() || 'FA';
+        const value = item.value || 0;
+        const rank = item.overallRank || (i + 1);
+        const positionRank = item.positionRank || 0;
+
+        // Additional fields available from FantasyCalc
+        const trend30Day = item.trend30Day || null;
+        const redraftValue = item.redraftValue || null;
+        const tier = item.maybeTier || null;
+        const isStarter = item.starter || false;
+        const sleeperId = player.sleeperId || null;
+        const fantasycalcId = player.id || null;
+
+        // Validate required fields
+        if (!name || !position) {
+            continue;
+        }
+
+        // Only include valid fantasy positions
+        const validPositions = ['QB', 'RB', 'WR', 'TE'];
+        if (!validPositions.includes(position)) {
+            continue;
+        }
+
+        players.push({
+            rank: rank,
+            name: name,
+            position: position,
+            team: team,
+            value: value,
+            positionRank: positionRank,
+            sleeperId: sleeperId,
+            fantasycalcId: fantasycalcId,
+            trend30Day: trend30Day,
+            redraftValue: redraftValue,
+            tier: tier,
+            isStarter: isStarter
+        });
+    }
+
+    // Sort by overall rank
+    players.sort((a, b) => a.rank - b.rank);
+
+    return players;
+}
+
+/**
+ * Whether an archived api-response file holds a processed object rather than the API payload
+ * Files written before raw payloads were archived look like this and can't be replayed
+ */
+function isLegacySnapshot(payload) {
+    return payload.trimStart().startsWith('{');
+}
+
+/**
+ * Fantasy Calc source adapter
+ * Rankings come straight from the public values API
+ */
+module.exports = {
+    id: 'fantasycalc',
+    name: 'Fantasy Calc',
+    order: 20,
+    parserVersion: PARSER_VERSION,
+    formats: FC_FORMATS,
+    unsupported: FC_UNSUPPORTED,
+    raw: { prefix: 'api-response-', extension: '.json', perFormat: true },
+
+    csvColumns: [
+        { header: 'Value', value: p => p.value },
+        { header: 'PositionRank', value: p => p.positionRank },
+        { header: 'Trend30Day', value: p => p.trend30Day || '' },
+        { header: 'RedraftValue', value: p => p.redraftValue || '' },
+        { header: 'Tier', value: p => p.tier || '' }
+    ],
+
+    /**
+     * Download the API payload for a format
+     */
+    async fetchRaw(config, { http, conditional }) {
+        return assertOk(await http.fetch(config.endpoint, {
+            headers: { 'Accept': 'application/json' },
+            fixture: `fantasycalc/${config.format}`,
+            conditional
+        }));
+    },
+
+    parse(payload) {
+        return parseFantasyCalcResponse(JSON.parse(payload));
+    },
+
+    playerIds(player) {
+        return { fantasycalc: player.fantasycalcId, sleeper: player.sleeperId };
+    },
+
+    /**
+     * Older archives hold processed output rather than API payloads
+     */
+    canReplay(payload) {
+        return !isLegacySnapshot(payload);
+    },
+
+    parseFantasyCalcResponse
+};
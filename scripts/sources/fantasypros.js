@@ -0,0 +1,231 @@
+const { normalizeTeam } = require('../lib/teams');
+const { SourceError } = require('../lib/health');
+
+// Bumped whenever a parser change alters what ends up in the processed files (listed in the manifest)
+const PARSER_VERSION = 1;
+
+// FantasyPros pages are saved by hand (the site blocks scripted requests), so there is no URL to fetch;
+// the key matches the best_ball alias in lib/formats.js
+const FANTASYPROS_FORMATS = {
+    best_ball: {
+        format: 'best_ball',
+        name: 'Best Ball ADP',
+        page: 'https://www.fantasypros.com/nfl/adp/best-ball-overall.php'
+    }
+};
+
+const VALID_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+// Ranking table headers with a fixed meaning; every other header is a platform ADP column
+const KNOWN_HEADERS = {
+    rank: /^(rank|rk)$/,
+    player: /^player/,
+    position: /^pos/,
+    bye: /^bye/,
+    best: /^best$/,
+    worst: /^worst$/,
+    average: /^avg\.?$/,
+    stdDev: /^std\.?\s*dev/,
+    realTime: /^real-time/,
+    ecrVsAdp: /^ecr vs\.? adp/
+};
+
+/**
+ * Strip tags and decode the few entities FantasyPros uses in table cells
+ * @param {string} html - Cell HTML
+ * @returns {string} Plain text
+ */
+function cellText(html) {
+    return html
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse a numeric cell, treating blanks and "-" as missing
+ * The Real-Time column also carries a "+2"/"-1" movement after the number, which is ignored
+ * @param {string} text - Cell text
+ * @returns {number|null} Parsed number or null
+ */
+function parseNumber(text) {
+    const match = /^-?\d+(\.\d+)?/.exec(text || '');
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Key a platform column is stored under ("BB10" -> "bb10", "DraftKings" -> "draftkings")
+ */
+function platformKey(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the ranking table and map its headers to columns
+ * @param {string} html - Saved FantasyPros page
+ * @returns {Object} { columns, platforms, body }
+ */
+function extractTable(html) {
+    const table = /<table[^>]*id="data"[^>]*>([\s\S]*?)<\/table>/.exec(html);
+    if (!table) {
+        throw new SourceError('Could not find the FantasyPros ranking table (table#data); the page layout may have changed', 'layout_changed');
+    }
+
+    const head = /<thead>([\s\S]*?)<\/thead>/.exec(table[1]);
+    const headers = head ? [...head[1].matchAll(/<th[^>]*>([\s\S]*?)<\/th>/g)].map(m => cellText(m[1])) : [];
+
+    const columns = {};
+    const platforms = [];
+    headers.forEach((header, index) => {
+        const label = header.toLowerCase();
+        const known = Object.keys(KNOWN_HEADERS).find(key => KNOWN_HEADERS[key].test(label));
+        if (known) {
+            columns[known] = index;
+        } else if (header) {
+            platforms.push({ key: platformKey(header), name: header, index });
+        }
+    });
+
+    const missing = ['rank', 'player', 'position'].filter(key => columns[key] === undefined);
+    if (missing.length > 0) {
+        throw new SourceError(`FantasyPros table is missing expected column(s): ${missing.join(', ')} (header: ${headers.join(',')})`, 'layout_changed');
+    }
+
+    const body = /<tbody>([\s\S]*?)<\/tbody>/.exec(table[1]);
+    return { columns, platforms, body: body ? body[1] : '' };
+}
+
+/**
+ * Population standard deviation, rounded to 2 decimals
+ */
+function stdDev(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return Math.round(Math.sqrt(variance) * 100) / 100;
+}
+
+/**
+ * Parse a saved FantasyPros ADP or rankings page
+ * Columns are matched by header, so ECR pages (Best/Worst/Avg/Std Dev) and ADP pages
+ * (one column per platform) both parse
+ * @param {string} html - Saved page HTML
+ * @returns {Array} Parsed players
+ */
+function parseFantasyProsHtml(html) {
+    const { columns, platforms, body } = extractTable(html);
+    const players = [];
+    const unknownTeams = new Set();
+
+    for (const row of body.split(/<\/tr>/)) {
+        const cells = [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(m => m[1]);
+        if (cells.length <= columns.position) {
+            continue;
+        }
+
+        const playerCell = cells[columns.player];
+        const link = /fp-id-(\d+)"[^>]*fp-player-name="([^"]*)"/.exec(playerCell);
+        const position = /^[A-Z]+/.exec(cellText(cells[columns.position]))?.[0];
+        if (!link || !VALID_POSITIONS.includes(position)) {
+            continue;
+        }
+
+        // "Ja'Marr Chase CIN (10)": team and bye follow the name; free agents have neither
+        const smalls = [...playerCell.matchAll(/<small>([\s\S]*?)<\/small>/g)].map(m => cellText(m[1]));
+        const teamText = smalls.find(s => !/^\(\d+\)$/.test(s)) || '';
+        const byeText = smalls.find(s => /^\(\d+\)$/.test(s));
+
+        let team = normalizeTeam(teamText);
+        if (!team) {
+            unknownTeams.add(teamText);
+            team = teamText.toUpperCase();
+        }
+
+        const number = key => (columns[key] === undefined ? null : parseNumber(cellText(cells[columns[key]])));
+
+        const platformAdp = {};
+        for (const platform of platforms) {
+            platformAdp[platform.key] = parseNumber(cellText(cells[platform.index]));
+        }
+        const listed = Object.values(platformAdp).filter(v => v !== null);
+
+        // ADP pages give the cross-platform average as AVG; ECR pages have no ADP
+        const adp = platforms.length > 0 ? number('average') : null;
+        if (platforms.length > 0 && adp === null) {
+            continue;
+        }
+
+        players.push({
+            fantasyprosId: link[1],
+            rank: players.length + 1,
+            fpRank: number('rank'),
+            name: cellText(link[2]),
+            position: position,
+            team: team,
+            byeWeek: byeText ? parseInt(byeText.slice(1), 10) : number('bye'),
+            positionRank: parseNumber(cellText(cells[columns.position]).slice(position.length)),
+            adp: adp,
+            platformAdp: platformAdp,
+            realTimeAdp: number('realTime'),
+            // Expert spread on ECR pages; on ADP pages, the spread between platforms
+            best: number('best') ?? (listed.length > 1 ? Math.min(...listed) : null),
+            worst: number('worst') ?? (listed.length > 1 ? Math.max(...listed) : null),
+            averageRank: platforms.length > 0 ? null : number('average'),
+            stdDev: number('stdDev') ?? (listed.length > 1 ? stdDev(listed) : null)
+        });
+    }
+
+    if (unknownTeams.size > 0) {
+        console.warn(`Unrecognized FantasyPros team codes: ${[...unknownTeams].join(', ')}`);
+    }
+
+    return players;
+}
+
+/**
+ * Platform ADP columns in the order the page listed them
+ */
+function platformKeys(data) {
+    return Object.keys(data.players[0]?.platformAdp || {});
+}
+
+/**
+ * FantasyPros source adapter
+ * Parses hand-saved pages only: drop the HTML into data/raw/fantasypros/ (or point --file at it)
+ * and run `draft-compass reprocess --source fantasypros`
+ */
+module.exports = {
+    id: 'fantasypros',
+    name: 'FantasyPros',
+    order: 40,
+    parserVersion: PARSER_VERSION,
+    formats: FANTASYPROS_FORMATS,
+    raw: { prefix: 'fantasypros-', extension: '.html', perFormat: false },
+    metric: 'adp',
+
+    csvColumns: data => [
+        { header: 'ADP', value: p => p.adp ?? '' },
+        { header: 'PositionRank', value: p => p.positionRank ?? '' },
+        { header: 'Bye', value: p => p.byeWeek ?? '' },
+        ...platformKeys(data).map(key => ({
+            header: `${key[0].toUpperCase()}${key.slice(1)}ADP`,
+            value: p => p.platformAdp[key] ?? ''
+        })),
+        { header: 'Best', value: p => p.best ?? '' },
+        { header: 'Worst', value: p => p.worst ?? '' },
+        { header: 'StdDev', value: p => p.stdDev ?? '' }
+    ],
+
+    parse(html) {
+        return parseFantasyProsHtml(html);
+    },
+
+    playerIds(player) {
+        return { fantasypros: player.fantasyprosId };
+    },
+
+    parseFantasyProsHtml
+};
@@ -0,0 +1,391 @@
+const { assertOk } = require('../lib/http-client');
+const { SourceError } = require('../lib/health');
+const { BASELINE, loadLeagueSettings, formatKey, formatName } = require('../lib/league-settings');
+
+// Bumped whenever a parser change alters what ends up in the processed files (listed in the manifest)
+const PARSER_VERSION = 3;
+
+// Keep Trade Cut pages, one per league type and QB count
+// KTC values are crowd-sourced for 12-team full-PPR leagues without TE premium
+const KTC_PAGES = {
+    dynasty_1: {
+        url: 'https://keeptradecut.com/dynasty-rankings?filters=QB|WR|RB|TE|RDP&format=1',
+        valueField: 'oneQBValues'
+    },
+    dynasty_2: {
+        url: 'https://keeptradecut.com/dynasty-rankings?filters=QB|WR|RB|TE|RDP&format=0',
+        valueField: 'superflexValues'
+    },
+    redraft_1: {
+        url: 'https://keeptradecut.com/fantasy-rankings?filters=QB|WR|RB|TE&format=1',
+        valueField: 'oneQBValues'
+    },
+    redraft_2: {
+        url: 'https://keeptradecut.com/fantasy-rankings?filters=QB|WR|RB|TE&format=2',
+        valueField: 'superflexValues'
+    }
+};
+
+/**
+ * Unsupported reason for a league, or null when a KTC page matches it
+ */
+function unsupportedReason(settings) {
+    const differences = [];
+    if (settings.teams !== BASELINE.teams) {
+        differences.push(`${settings.teams}-team`);
+    }
+    if (settings.ppr !== BASELINE.ppr) {
+        differences.push(settings.ppr === 0 ? 'standard scoring' : 'half-PPR');
+    }
+    if (settings.tePremium !== BASELINE.tePremium) {
+        differences.push('TE premium');
+    }
+    return differences.length > 0 ? `KTC has no ${differences.join(', ')} values` : null;
+}
+
+// KTC format table, one entry per matching league in config/league-settings.json
+const KTC_FORMATS = {};
+for (const settings of loadLeagueSettings().filter(league => !unsupportedReason(league))) {
+    const key = formatKey(settings);
+    KTC_FORMATS[key] = {
+        ...KTC_PAGES[`${settings.type}_${settings.qbs}`],
+        format: key,
+        name: formatName(settings),
+        isDynasty: settings.type === 'dynasty',
+        settings
+    };
+}
+
+// Leagues in the settings file KTC can't serve, reported instead of silently dropped
+const KTC_UNSUPPORTED = loadLeagueSettings()
+    .filter(unsupportedReason)
+    .map(settings => ({ format: formatKey(settings), name: formatName(settings), reason: unsupportedReason(settings) }));
+
+// Ways the page has declared the players list ("var playersArray = [", "window.playersArray = [", ...)
+const PLAYERS_ARRAY_PATTERN = /(?:\b(?:var|let|const)\s+|\bwindow\.)playersArray\s*=\s*\[/;
+
+/**
+ * Index of the bracket closing the array that opens at start
+ * Brackets inside string literals don't count. A backslash escapes exactly the next
+ * character, so "C:\\" ends its string while "say \"hi\"" doesn't
+ * @param {string} text - Page content
+ * @param {number} start - Index of the opening [
+ * @returns {number} Index of the matching ], or -1 when the array never closes
+ */
+function findClosingBracket(text, start) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Extract playersArray from KTC HTML page
+ * @param {string} html - HTML content from KTC page
+ * @returns {Array|null} Parsed players array, or null when the page declares none
+ * @throws {SourceError} layout_changed when the declaration is there but can't be read
+ */
+function extractPlayersArray(html) {
+    const match = PLAYERS_ARRAY_PATTERN.exec(html);
+    if (!match) {
+        return null;
+    }
+
+    const start = match.index + match[0].length - 1;
+    const end = findClosingBracket(html, start);
+    if (end === -1) {
+        throw new SourceError(`playersArray at character ${start} is never closed; the page layout has probably changed`, 'layout_changed');
+    }
+
+    try {
+        return JSON.parse(html.substring(start, end + 1));
+    } catch (error) {
+        throw new SourceError(`playersArray is no longer plain JSON (${error.message}); the page layout has probably changed`, 'layout_changed');
+    }
+}
+
+// Fields every entry has carried; when no entry has one of them the layout has changed
+const PLAYER_FIELDS = ['playerID', 'playerName', 'position'];
+
+// Bot-protection interstitials served instead of the rankings page
+const CHALLENGE_PATTERN = /cf-chl|challenge-platform|Just a moment\.\.\.|Attention Required/i;
+
+/**
+ * playersArray from a rankings page, or an error saying why it isn't there
+ * @param {string} html - HTML content from KTC page
+ * @returns {Array} Parsed players array
+ */
+function requirePlayersArray(html) {
+    const playersArray = extractPlayersArray(html);
+    if (!playersArray) {
+        if (CHALLENGE_PATTERN.test(html)) {
+            throw new SourceError('KTC served a bot-protection challenge instead of the rankings page', 'blocked');
+        }
+        throw new SourceError('Could not find playersArray in HTML; the page layout has probably changed', 'layout_changed');
+    }
+
+    if (!Array.isArray(playersArray) || playersArray.length === 0) {
+        throw new SourceError('playersArray is empty or not a list', 'layout_changed');
+    }
+    const missing = PLAYER_FIELDS.filter(field => !playersArray.some(entry => entry?.[field] !== undefined));
+    if (missing.length > 0) {
+        throw new SourceError(`playersArray entries no longer have ${missing.join(', ')}; the page layout has probably changed`, 'layout_changed');
+    }
+
+    return playersArray;
+}
+
+/**
+ * A number KTC ships, or null when the page leaves it out
+ */
+function numberOrNull(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parse KTC player data into standardized format
+ * Besides the value, each format carries trends (value change over the last 30 and 7 days,
+ * overall and within the position), a start/sit value and, on dynasty pages, rookie ranks;
+ * the player carries rookie and draft metadata
+ * @param {Array} playersArray - Raw players array from KTC
+ * @param {Object} config - Format configuration
+ * @returns {Array} Parsed player objects
+ */
+function parsePlayers(playersArray, config) {
+    if (!playersArray.some(player => player[config.valueField])) {
+        throw new SourceError(`No playersArray entry has ${config.valueField}; the page layout has probably changed`, 'layout_changed');
+    }
+
+    const players = [];
+    const validPositions = ['QB', 'RB', 'WR', 'TE'];
+
+    for (const player of playersArray) {
+        const position = player.position?.toUpperCase();
+
+        // Skip invalid positions
+        if (!validPositions.includes(position)) {
+            continue;
+        }
+
+        // Get values based on format (1QB vs Superflex)
+        const values = player[config.valueField] || {};
+
+        // Skip if no value data available
+        if (!values || values.value === undefined) {
+            continue;
+        }
+
+        players.push({
+            playerId: player.playerID,
+            name: player.playerName,
+            position: position,
+            team: player.team?.toUpperCase() || 'FA',
+            value: values.value,
+            rank: values.rank,
+            positionRank: values.positionalRank,
+            age: player.age || null,
+            kept: values.kept || 0,
+            traded: values.traded || 0,
+            cut: values.cut || 0,
+            overallTier: values.overallTier || null,
+            positionTier: values.positionalTier || null,
+            trend: numberOrNull(values.overallTrend),
+            positionTrend: numberOrNull(values.positionalTrend),
+            trend7Day: numberOrNull(values.overall7DayTrend),
+            positionTrend7Day: numberOrNull(values.positional7DayTrend),
+            startSitValue: numberOrNull(values.startSitValue),
+            rookieRank: numberOrNull(values.rookieRank) || null,
+            rookiePositionRank: numberOrNull(values.rookiePositionalRank) || null,
+            rookie: player.rookie === true,
+            draftYear: numberOrNull(player.draftYear) || null,
+            draftRound: numberOrNull(player.pickRound) || null,
+            draftPick: numberOrNull(player.pickNum) || null,
+            college: player.college || null,
+            yearsExperience: numberOrNull(player.seasonsExperience)
+        });
+    }
+
+    // Sort by rank
+    players.sort((a, b) => a.rank - b.rank);
+
+    // Re-assign sequential ranks after sorting
+    players.forEach((p, i) => {
+        p.rank = i + 1;
+    });
+
+    return players;
+}
+
+/**
+ * Read season, round and slot from a KTC pick name
+ * Upcoming drafts are split into early/mid/late ("2026 Early 1st"), later years are whole
+ * rounds ("2027 1st"), and once the draft order is set KTC lists exact picks ("2026 Pick 1.05")
+ * @param {string} name - KTC pick name
+ * @returns {Object|null} { season, round, slot, pick } or null when the name isn't recognized
+ */
+function parsePickName(name) {
+    const exact = /^(\d{4})\s+Pick\s+(\d+)\.(\d+)$/i.exec(name || '');
+    if (exact) {
+        return { season: parseInt(exact[1], 10), round: parseInt(exact[2], 10), slot: null, pick: parseInt(exact[3], 10) };
+    }
+
+    const round = /^(\d{4})\s+(?:(Early|Mid|Late)\s+)?(\d+)(?:st|nd|rd|th)$/i.exec(name || '');
+    if (round) {
+        return { season: parseInt(round[1], 10), round: parseInt(round[3], 10), slot: round[2] ? round[2].toLowerCase() : null, pick: null };
+    }
+
+    return null;
+}
+
+/**
+ * Parse the rookie draft pick (RDP) entries of a KTC page
+ * @param {Array} playersArray - Raw players array from KTC
+ * @param {Object} config - Format configuration
+ * @returns {Array} Picks sorted by value, highest first
+ */
+function parsePicks(playersArray, config) {
+    const picks = [];
+    const unknown = [];
+
+    for (const entry of playersArray) {
+        if (entry.position?.toUpperCase() !== 'RDP') {
+            continue;
+        }
+
+        const values = entry[config.valueField] || {};
+        if (values.value === undefined) {
+            continue;
+        }
+
+        const parsed = parsePickName(entry.playerName);
+        if (!parsed) {
+            unknown.push(entry.playerName);
+            continue;
+        }
+
+        picks.push({
+            pickId: entry.playerID,
+            rank: 0,
+            name: entry.playerName,
+            ...parsed,
+            value: values.value
+        });
+    }
+
+    if (unknown.length > 0) {
+        console.warn(`Unrecognized KTC pick names: ${unknown.join(', ')}`);
+    }
+
+    picks.sort((a, b) => b.value - a.value);
+    picks.forEach((p, i) => {
+        p.rank = i + 1;
+    });
+
+    return picks;
+}
+
+/**
+ * Registry source key for a format's player IDs
+ * KTC's redraft pages number players differently from its dynasty pages
+ * @param {Object} config - Format configuration
+ * @returns {string} Source key used in the player registry
+ */
+function getIdSource(config) {
+    return config.isDynasty ? 'ktc' : 'ktc_redraft';
+}
+
+/**
+ * Keep Trade Cut source adapter
+ * Rankings come from the playersArray embedded in each rankings page
+ */
+module.exports = {
+    id: 'ktc',
+    name: 'Keep Trade Cut',
+    order: 10,
+    parserVersion: PARSER_VERSION,
+    formats: KTC_FORMATS,
+    unsupported: KTC_UNSUPPORTED,
+    raw: { prefix: 'page-', extension: '.html', perFormat: true },
+
+    // Dynasty pages also carry rookie draft pick values (the RDP filter in the URL)
+    datasets: {
+        picks: {
+            appliesTo: config => config.isDynasty,
+            parse(html, config) {
+                return parsePicks(requirePlayersArray(html), config);
+            },
+            csvColumns: [
+                { header: 'Rank', value: p => p.rank },
+                { header: 'Pick', value: p => p.name },
+                { header: 'Season', value: p => p.season },
+                { header: 'Round', value: p => p.round },
+                { header: 'Slot', value: p => p.slot || '' },
+                { header: 'PickNumber', value: p => p.pick || '' },
+                { header: 'Value', value: p => p.value }
+            ]
+        }
+    },
+
+    csvColumns: [
+        { header: 'Value', value: p => p.value },
+        { header: 'PositionRank', value: p => p.positionRank || '' },
+        { header: 'Age', value: p => p.age || '' },
+        { header: 'Kept', value: p => p.kept || '' },
+        { header: 'Traded', value: p => p.traded || '' },
+        { header: 'Cut', value: p => p.cut || '' },
+        { header: 'Trend', value: p => p.trend ?? '' },
+        { header: 'Trend7Day', value: p => p.trend7Day ?? '' },
+        { header: 'StartSitValue', value: p => p.startSitValue ?? '' },
+        { header: 'Rookie', value: p => (p.rookie ? 'Y' : '') },
+        { header: 'DraftYear', value: p => p.draftYear || '' }
+    ],
+
+    /**
+     * Download the rankings page for a format
+     */
+    async fetchRaw(config, { http, conditional }) {
+        return assertOk(await http.fetch(config.url, {
+            headers: { 'Accept': 'text/html,application/xhtml+xml' },
+            fixture: `ktc/${config.format}`,
+            conditional
+        }));
+    },
+
+    /**
+     * Parse a rankings page into players
+     */
+    parse(html, config) {
+        const playersArray = requirePlayersArray(html);
+        console.log(`  Found ${playersArray.length} raw player entries`);
+        return parsePlayers(playersArray, config);
+    },
+
+    playerIds(player, config) {
+        return { [getIdSource(config)]: player.playerId };
+    },
+
+    getIdSource,
+    parsePickName,
+    extractPlayersArray
+};
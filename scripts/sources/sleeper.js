@@ -0,0 +1,219 @@
+const { normalizeTeam } = require('../lib/teams');
+const { assertOk } = require('../lib/http-client');
+const { SourceError } = require('../lib/health');
+
+// Bumped whenever a parser change alters what ends up in the processed files (listed in the manifest)
+const PARSER_VERSION = 1;
+
+// Public Sleeper hosts; SLEEPER_API_URL points both at one stand-in server (e.g. http://localhost:8080)
+const SLEEPER_PLAYERS_HOST = 'https://api.sleeper.app';
+const SLEEPER_PROJECTIONS_HOST = 'https://api.sleeper.com';
+
+// Sleeper publishes ADP per league type as stats on its projections; each format reads one of them,
+// falling back to the next when the first has no data yet
+const SLEEPER_FORMATS = {
+    dynasty_1qb: {
+        format: 'dynasty_1qb',
+        name: 'Dynasty 1QB',
+        adpFields: ['adp_dynasty_ppr', 'adp_dynasty_half_ppr', 'adp_dynasty']
+    },
+    dynasty_superflex: {
+        format: 'dynasty_superflex',
+        name: 'Dynasty Superflex',
+        adpFields: ['adp_dynasty_2qb']
+    },
+    redraft_1qb: {
+        format: 'redraft_1qb',
+        name: 'Redraft 1QB',
+        adpFields: ['adp_ppr', 'adp_half_ppr', 'adp_std']
+    },
+    redraft_superflex: {
+        format: 'redraft_superflex',
+        name: 'Redraft Superflex',
+        adpFields: ['adp_2qb']
+    }
+};
+
+const VALID_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+// Sleeper marks "no ADP" with 999 and pads search_rank with 9999999 for players nobody looks up
+const NO_ADP = 999;
+const NO_SEARCH_RANK = 9999999;
+
+/**
+ * NFL season whose ADP is requested (SLEEPER_SEASON overrides)
+ * @returns {string} Season year
+ */
+function currentSeason() {
+    return process.env.SLEEPER_SEASON || String(new Date().getUTCFullYear());
+}
+
+/**
+ * URLs for the player database and the projections that carry ADP
+ * @returns {Object} { players, projections }
+ */
+function sleeperUrls() {
+    const standIn = process.env.SLEEPER_API_URL?.replace(/\/$/, '');
+    const positions = VALID_POSITIONS.map(p => `position[]=${p}`).join('&');
+
+    return {
+        players: `${standIn || SLEEPER_PLAYERS_HOST}/v1/players/nfl`,
+        projections: `${standIn || SLEEPER_PROJECTIONS_HOST}/projections/nfl/${currentSeason()}?season_type=regular&${positions}&order_by=adp_ppr`
+    };
+}
+
+/**
+ * First usable ADP among a format's ADP fields
+ * @param {Object} stats - Projection stats for a player
+ * @param {string[]} fields - ADP stat names in order of preference
+ * @returns {number|null} ADP or null
+ */
+function pickAdp(stats, fields) {
+    for (const field of fields) {
+        const adp = stats?.[field];
+        if (typeof adp === 'number' && adp > 0 && adp < NO_ADP) {
+            return adp;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse the archived Sleeper document into players for one format
+ * Players with ADP come first in ADP order; the rest of the fantasy-relevant player pool
+ * follows in Sleeper's own search order, so status and depth charts are published even
+ * before ADP exists for the season
+ * @param {Object} document - { players: player database, projections: projections array }
+ * @param {Object} config - Format configuration
+ * @returns {Array} Parsed players
+ */
+function parseSleeperData(document, config) {
+    if (!document || typeof document.players !== 'object' || !Array.isArray(document.projections)) {
+        throw new SourceError('Invalid Sleeper data: expected { players, projections }', 'layout_changed');
+    }
+
+    const adpById = new Map();
+    for (const projection of document.projections) {
+        const adp = pickAdp(projection.stats, config.adpFields);
+        if (projection.player_id && adp !== null) {
+            adpById.set(String(projection.player_id), adp);
+        }
+    }
+
+    const players = [];
+
+    for (const [id, player] of Object.entries(document.players)) {
+        const position = player.position?.toUpperCase();
+        if (!VALID_POSITIONS.includes(position)) {
+            continue;
+        }
+
+        const adp = adpById.get(id) ?? null;
+        const searchRank = player.search_rank ?? NO_SEARCH_RANK;
+
+        // Retired and deep-practice-squad players have neither
+        if (adp === null && (!player.active || searchRank >= NO_SEARCH_RANK)) {
+            continue;
+        }
+
+        const name = player.full_name || `${player.first_name || ''} ${player.last_name || ''}`.trim();
+        if (!name) {
+            continue;
+        }
+
+        players.push({
+            sleeperId: id,
+            rank: 0,
+            name: name,
+            position: position,
+            team: normalizeTeam(player.team) || 'FA',
+            adp: adp,
+            positionRank: null,
+            searchRank: searchRank,
+            age: player.age ?? null,
+            yearsExp: player.years_exp ?? null,
+            status: player.status || null,
+            injuryStatus: player.injury_status || null,
+            injuryBodyPart: player.injury_body_part || null,
+            depthChartPosition: player.depth_chart_position || null,
+            depthChartOrder: player.depth_chart_order ?? null
+        });
+    }
+
+    players.sort((a, b) =>
+        (a.adp === null) - (b.adp === null) || (a.adp ?? 0) - (b.adp ?? 0) || a.searchRank - b.searchRank
+    );
+
+    const positionCounts = {};
+    players.forEach((p, i) => {
+        positionCounts[p.position] = (positionCounts[p.position] || 0) + 1;
+        p.rank = i + 1;
+        p.positionRank = positionCounts[p.position];
+    });
+
+    return players;
+}
+
+/**
+ * Sleeper source adapter
+ * One run downloads the player database and the season projections (which carry ADP)
+ * and publishes every format from that pair
+ */
+module.exports = {
+    id: 'sleeper',
+    name: 'Sleeper',
+    order: 25,
+    parserVersion: PARSER_VERSION,
+    formats: SLEEPER_FORMATS,
+    raw: { prefix: 'sleeper-', extension: '.json', perFormat: false, shared: true },
+    metric: 'searchRank',
+    // Tiers break on ADP; players Sleeper only ranks by search interest get none
+    tierMetric: 'adp',
+
+    csvColumns: [
+        { header: 'ADP', value: p => p.adp ?? '' },
+        { header: 'PositionRank', value: p => p.positionRank },
+        { header: 'Age', value: p => p.age ?? '' },
+        { header: 'YearsExp', value: p => p.yearsExp ?? '' },
+        { header: 'Status', value: p => p.status || '' },
+        { header: 'InjuryStatus', value: p => p.injuryStatus || '' },
+        { header: 'DepthChart', value: p => (p.depthChartPosition ? `${p.depthChartPosition}${p.depthChartOrder ?? ''}` : '') }
+    ],
+
+    /**
+     * Download the player database and projections
+     * Both responses are archived together as one document, so they are always fetched in full:
+     * a 304 for one half would leave nothing to archive
+     */
+    async fetchRaw(config, { http }) {
+        const urls = sleeperUrls();
+
+        const players = assertOk(await http.fetch(urls.players, {
+            headers: { 'Accept': 'application/json' },
+            fixture: 'sleeper/players'
+        }));
+        const projections = assertOk(await http.fetch(urls.projections, {
+            headers: { 'Accept': 'application/json' },
+            fixture: 'sleeper/projections'
+        }));
+
+        // Both bodies go in exactly as received, so fields the parser doesn't read yet can be backfilled
+        const document = `{"season":${JSON.stringify(currentSeason())},"players":${players.text()},"projections":${projections.text()}}`;
+        return {
+            notModified: false,
+            text: () => document,
+            rememberValidators: () => {}
+        };
+    },
+
+    parse(raw, config) {
+        return parseSleeperData(JSON.parse(raw), config);
+    },
+
+    playerIds(player) {
+        return { sleeper: player.sleeperId };
+    },
+
+    parseSleeperData,
+    SLEEPER_FORMATS
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeTeam } = require('../lib/teams');
+const { HttpError, assertOk } = require('../lib/http-client');
+const { SourceError } = require('../lib/health');
+
+// Bumped whenever a parser change alters what ends up in the processed files (listed in the manifest)
+const PARSER_VERSION = 1;
+
+// Slates fetched from Underdog, one feed each; UNDERDOG_SLATES_FILE points at another file
+// Each slate's CSV download URL comes from its own environment variable (urlEnv)
+// Format: https://app.underdogfantasy.com/rankings/download/[SLATE_ID]/[USER_ID]/[SESSION_ID]?[PARAMS]
+const SLATES_FILE = path.join(__dirname, '..', '..', 'config', 'underdog-slates.json');
+
+// The original slate keeps the file names it had before slates were configurable
+const DEFAULT_SLATE = 'best_ball';
+
+/**
+ * Load and check the slates file
+ * @param {string} [file] - Slates file (defaults to UNDERDOG_SLATES_FILE or config/underdog-slates.json)
+ * @returns {Object} Format configs keyed by slate key
+ */
+function loadSlates(file = process.env.UNDERDOG_SLATES_FILE || SLATES_FILE) {
+    const { slates = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const formats = {};
+
+    for (const slate of slates) {
+        const problems = [];
+        if (!/^[a-z0-9_]+$/.test(slate.key || '')) {
+            problems.push(`key=${JSON.stringify(slate.key)} (lower-case letters, digits and _)`);
+        } else if (formats[slate.key]) {
+            problems.push(`duplicate key "${slate.key}"`);
+        }
+        if (!slate.name) {
+            problems.push('name is required');
+        }
+        if (!slate.urlEnv) {
+            problems.push('urlEnv is required');
+        }
+        if (problems.length > 0) {
+            throw new Error(`Invalid Underdog slate in ${file}: ${problems.join(', ')}`);
+        }
+
+        formats[slate.key] = {
+            format: slate.key,
+            name: slate.name,
+            urlEnv: slate.urlEnv,
+            slateType: slate.type || null,
+            season: slate.season || null
+        };
+    }
+
+    return formats;
+}
+
+const UNDERDOG_FORMATS = loadSlates();
+
+/**
+ * Raw archive name prefix for a slate; every slate shares data/raw/underdog/
+ * @param {string} format - Slate key
+ * @returns {string} "underdog-" for the original slate, "underdog-{key}-" for the others
+ */
+function rawPrefix(format) {
+    return format === DEFAULT_SLATE ? 'underdog-' : `underdog-${format}-`;
+}
+
+// Columns in the Underdog rankings export, keyed by header name
+// Every required column must be present or the export is rejected
+const UNDERDOG_COLUMNS = {
+    id: { required: true },
+    firstName: { required: true },
+    lastName: { required: true },
+    adp: { required: true },
+    projectedPoints: { required: true },
+    positionRank: { required: true },
+    slotName: { required: true },
+    teamName: { required: true },
+    lineupStatus: { required: false },
+    byeWeek: { required: true }
+};
+
+const VALID_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+// An expired download URL is refused with one of these, or answered with the login page
+const EXPIRED_URL_STATUSES = [401, 403, 404, 410];
+
+/**
+ * Parse Underdog CSV content
+ * Underdog format: id,firstName,lastName,adp,projectedPoints,positionRank,slotName,teamName,lineupStatus,byeWeek
+ * @param {string} csvContent - Raw CSV from Underdog
+ * @returns {Array} Parsed players
+ */
+function parseUnderdogCsv(csvContent) {
+    if (/^\s*</.test(csvContent)) {
+        throw new SourceError('Underdog returned an HTML page instead of the CSV export; the download URL has probably expired', 'expired_credentials');
+    }
+
+    const lines = csvContent.trim().split(/\r?\n/);
+    const players = [];
+
+    // Map each expected column to its index in the header
+    const header = lines[0] ? parseCsvLine(lines[0]) : [];
+    const columns = {};
+    const missing = [];
+
+    for (const [name, spec] of Object.entries(UNDERDOG_COLUMNS)) {
+        columns[name] = header.indexOf(name);
+        if (columns[name] === -1 && spec.required) {
+            missing.push(name);
+        }
+    }
+
+    if (missing.length > 0) {
+        throw new SourceError(`Underdog CSV is missing expected column(s): ${missing.join(', ')} (header: ${header.join(',')})`, 'layout_changed');
+    }
+
+    const unknownTeams = new Set();
+
+    // Skip header row
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+
+        const fields = parseCsvLine(line);
+        const get = name => (columns[name] === -1 ? '' : fields[columns[name]] || '');
+
+        const fullName = `${get('firstName')} ${get('lastName')}`.trim();
+        const position = get('slotName').toUpperCase();
+
+        if (!fullName || !VALID_POSITIONS.includes(position)) {
+            continue;
+        }
+
+        // Players outside the draft pool are exported with an ADP of "-"
+        const adp = parseNumber(get('adp'));
+        if (adp === null) {
+            continue;
+        }
+
+        // Underdog exports teams as full names ("Atlanta Falcons"); blank means free agent
+        const teamName = get('teamName');
+        let team = normalizeTeam(teamName);
+        if (!team) {
+            unknownTeams.add(teamName);
+            team = teamName.toUpperCase();
+        }
+
+        players.push({
+            underdogId: get('id') || null,
+            rank: players.length + 1,
+            name: fullName,
+            position: position,
+            team: team,
+            adp: adp,
+            positionRank: parseNumber(get('positionRank').replace(/^[A-Z]+/i, '')),
+            projectedPoints: parseNumber(get('projectedPoints')),
+            byeWeek: parseNumber(get('byeWeek')),
+            lineupStatus: get('lineupStatus') || null
+        });
+    }
+
+    if (unknownTeams.size > 0) {
+        console.warn(`Unrecognized Underdog team names: ${[...unknownTeams].join(', ')}`);
+    }
+
+    return players;
+}
+
+/**
+ * Parse a numeric CSV field, treating blanks and "-" (undrafted) as missing
+ * ADP is already an average pick number ("2.7" = pick 2.7), not round.pick
+ * @param {string} raw - Field value
+ * @returns {number|null} Parsed number or null
+ */
+function parseNumber(raw) {
+    if (!raw || raw === '-') {
+        return null;
+    }
+    const value = parseFloat(raw);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Parse a CSV line handling quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} Array of fields
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '"') {
+            // A doubled quote inside a quoted field is a literal quote
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+
+    return fields;
+}
+
+/**
+ * Underdog source adapter
+ * Rankings come from the logged-in rankings CSV export of each configured slate
+ * One slate failing (an expired URL) doesn't stop the others
+ */
+module.exports = {
+    id: 'underdog',
+    name: 'Underdog',
+    order: 30,
+    parserVersion: PARSER_VERSION,
+    formats: UNDERDOG_FORMATS,
+    raw: { prefix: rawPrefix, extension: '.csv', perFormat: false },
+    metric: 'adp',
+
+    health: {
+        actions: {
+            expired_credentials: 'Refresh the slate download URL secret (urlEnv in config/underdog-slates.json, UNDERDOG_CSV_URL for best_ball) with a new link (see "URL Expiration" in the README)'
+        }
+    },
+
+    csvColumns: [
+        { header: 'ADP', value: p => p.adp },
+        { header: 'PositionRank', value: p => p.positionRank },
+        { header: 'ProjectedPoints', value: p => p.projectedPoints },
+        { header: 'Bye', value: p => p.byeWeek }
+    ],
+
+    /**
+     * Download the rankings CSV export
+     * Replayed runs read the recorded export, so the URL is only required when going to the network
+     */
+    async fetchRaw(config, { http, conditional }) {
+        const url = process.env[config.urlEnv];
+        if (!url && http.mode !== 'replay') {
+            console.error(`ERROR: ${config.urlEnv} environment variable is not set`);
+            console.error(`Please set it to your Underdog CSV download URL for ${config.name}`);
+            console.error('Format: https://app.underdogfantasy.com/rankings/download/[SLATE_ID]/[USER_ID]/[SESSION_ID]?[PARAMS]');
+            // Not an expired URL: the secret was never added, or the workflow doesn't pass it on
+            throw new SourceError(`${config.urlEnv} is not set; add it as a repository secret and pass it to the "Fetch rankings" step in .github/workflows/fetch-rankings.yml`, 'failed');
+        }
+
+        // The URL carries user and session IDs, so it never goes into logs or fixtures
+        try {
+            return assertOk(await http.fetch(url, {
+                headers: { 'Accept': 'text/csv,text/plain,*/*' },
+                fixture: `underdog/${config.format}`,
+                redactUrl: true,
+                conditional
+            }));
+        } catch (error) {
+            if (error instanceof HttpError && EXPIRED_URL_STATUSES.includes(error.status)) {
+                throw new SourceError(`Underdog refused the ${config.urlEnv} download URL (HTTP ${error.status}); it has probably expired`, 'expired_credentials');
+            }
+            throw error;
+        }
+    },
+
+    parse(csvText) {
+        return parseUnderdogCsv(csvText);
+    },
+
+    playerIds(player) {
+        return { underdog: player.underdogId };
+    },
+
+    // Underdog feeds are named after the slate rather than a league format
+    snapshotFields(config) {
+        return { format: config.format, slate: config.name, slateType: config.slateType, season: config.season };
+    },
+
+    parseUnderdogCsv,
+    loadSlates,
+    UNDERDOG_COLUMNS
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildEvents } = require('../scripts/build-events');
+const { getDataPaths, rankingsFileStem, toFileTimestamp } = require('../scripts/lib/paths');
+const { writeHistory, writeJsonAtomic } = require('../scripts/lib/storage');
+
+const SOURCE = 'ktc';
+const FORMAT = 'dynasty_1qb';
+
+/**
+ * Save a snapshot the way lib/pipeline.js does: history (skipped when unchanged), then the latest file
+ */
+function save(dataDir, time, players) {
+    const processedDir = path.join(getDataPaths(dataDir).processed, SOURCE);
+    const stem = rankingsFileStem(SOURCE, FORMAT);
+    const data = { source: SOURCE, format: FORMAT, lastUpdated: time.toISOString(), players };
+    const history = writeHistory(processedDir, stem, toFileTimestamp(time), data);
+    writeJsonAtomic(path.join(processedDir, `${stem}-latest.json`), data);
+    return history;
+}
+
+function readEvents(dataDir) {
+    const eventsPath = path.join(getDataPaths(dataDir).processed, 'events', 'events.jsonl');
+    return fs.existsSync(eventsPath)
+        ? fs.readFileSync(eventsPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+        : [];
+}
+
+test('a change after an unchanged run is still diffed', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-events-'));
+    const players = team => [
+        { rank: 1, name: 'Bijan Robinson', position: 'RB', team, dcId: 'dc-00001' },
+        { rank: 2, name: 'Drake London', position: 'WR', team: 'ATL', dcId: 'dc-00002' }
+    ];
+
+    try {
+        save(dataDir, new Date('2026-03-01T00:00:00Z'), players('ATL'));
+        buildEvents({ dataDir });
+
+        const unchanged = save(dataDir, new Date('2026-03-01T06:00:00Z'), players('ATL'));
+        assert.strictEqual(unchanged.written, false);
+        buildEvents({ dataDir });
+
+        save(dataDir, new Date('2026-03-01T12:00:00Z'), players('KC'));
+        const results = buildEvents({ dataDir });
+
+        assert.deepStrictEqual(results[`${SOURCE}/${FORMAT}`], { success: true, pairs: 1, events: 1 });
+        const events = readEvents(dataDir);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].type, 'team_change');
+        assert.strictEqual(events[0].from, 'ATL');
+        assert.strictEqual(events[0].to, 'KC');
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});